@@ -35,5 +35,16 @@ export default [
       sourcemap: true
     },
     plugins: [resolve(), commonjs(), terser()]
+  },
+
+  // Companion service worker
+  {
+    input: 'src/sw.js',
+    output: {
+      file: 'dist/ghostloader-sw.js',
+      format: 'iife',
+      sourcemap: true
+    },
+    plugins: [resolve(), commonjs(), terser()]
   }
 ];
\ No newline at end of file
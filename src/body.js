@@ -0,0 +1,72 @@
+/**
+ * Ghostloader - Response body reader
+ * Measures a response body as it streams and enforces a size cap.
+ */
+
+/**
+ * Error thrown when a body grows past its size cap
+ */
+export class ResponseTooLargeError extends Error {
+  /**
+   * @param {number} limit - Size cap in bytes
+   * @param {number} bytesRead - Bytes read before giving up
+   */
+  constructor(limit, bytesRead) {
+    super(`Response exceeds ${limit} bytes`);
+    this.name = 'ResponseTooLargeError';
+    this.limit = limit;
+    this.bytesRead = bytesRead;
+  }
+}
+
+/**
+ * Read a response body, counting bytes as they arrive. Stops reading and
+ * throws ResponseTooLargeError as soon as the body exceeds maxBytes.
+ * @param {Response} response - Unread response
+ * @param {number} maxBytes - Size cap in bytes (0 or Infinity for none)
+ * @param {Function} onProgress - Called with the bytes read so far, so they
+ *   are known when the read is aborted
+ * @returns {Promise<{body: Uint8Array, bytes: number}>}
+ */
+export async function readBody(response, maxBytes = 0, onProgress = () => {}) {
+  const limit = maxBytes > 0 ? maxBytes : Infinity;
+
+  // No streaming support: read everything, then check
+  if (!response.body || !response.body.getReader) {
+    const body = new Uint8Array(await response.arrayBuffer());
+    onProgress(body.byteLength);
+    if (body.byteLength > limit) {
+      throw new ResponseTooLargeError(limit, body.byteLength);
+    }
+    return { body, bytes: body.byteLength };
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    bytes += value.byteLength;
+    onProgress(bytes);
+    if (bytes > limit) {
+      reader.cancel();
+      throw new ResponseTooLargeError(limit, bytes);
+    }
+
+    chunks.push(value);
+  }
+
+  const body = new Uint8Array(bytes);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+
+  return { body, bytes };
+}
@@ -0,0 +1,241 @@
+/**
+ * Ghostloader - Cache metadata index
+ * Tracks size, lifetime, last access and hit count for every cached page so
+ * the cache can be kept within an entry and byte budget by LRU or LFU
+ * eviction, and expired pages can be purged without reading them.
+ */
+
+const INDEX_VERSION = 1;
+
+export const EVICTION_POLICIES = ['lru', 'lfu'];
+
+export default class CacheIndex {
+  /**
+   * @param {string|null} storageKey - Storage key, or null to keep the index in memory only
+   * @param {string} area - 'local' for pages all tabs share, 'session' for pages kept per tab
+   */
+  constructor(storageKey = null, area = 'local') {
+    this.storageKey = storageKey;
+    this.area = area;
+    this.entries = new Map(); // url -> { size, timestamp, ttl, revalidatable, lastAccess, hits }
+  }
+
+  /**
+   * Web Storage area holding the index
+   * @returns {Storage}
+   */
+  getArea() {
+    return this.area === 'session' ? sessionStorage : localStorage;
+  }
+
+  /**
+   * Load the persisted index
+   */
+  load() {
+    this.entries.clear();
+
+    if (!this.storageKey) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(this.getArea().getItem(this.storageKey));
+      if (data && data.version === INDEX_VERSION) {
+        Object.keys(data.entries).forEach(url => this.entries.set(url, data.entries[url]));
+      }
+    } catch (error) {
+      // Corrupt or unavailable storage, start with an empty index
+    }
+  }
+
+  /**
+   * Persist the index
+   */
+  save() {
+    if (!this.storageKey) {
+      return;
+    }
+
+    try {
+      const entries = {};
+      this.entries.forEach((entry, url) => {
+        entries[url] = entry;
+      });
+      this.getArea().setItem(this.storageKey, JSON.stringify({ version: INDEX_VERSION, entries }));
+    } catch (error) {
+      // Storage full or unavailable, keep the in-memory index
+    }
+  }
+
+  /**
+   * Number of indexed entries
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Total bytes of all indexed entries
+   * @returns {number}
+   */
+  get totalBytes() {
+    let total = 0;
+    this.entries.forEach(entry => {
+      total += entry.size;
+    });
+    return total;
+  }
+
+  /**
+   * Add or replace an entry after it is stored
+   * @param {string} url - Cached URL
+   * @param {Object} metadata - Entry metadata
+   * @param {number} metadata.size - Body size in bytes
+   * @param {number} metadata.timestamp - Time the entry was stored
+   * @param {number|null} metadata.ttl - Entry lifetime (ms), null for the default
+   * @param {boolean} metadata.revalidatable - Whether the entry has an ETag or Last-Modified
+   */
+  record(url, { size = 0, timestamp = Date.now(), ttl = null, revalidatable = false }) {
+    const existing = this.entries.get(url);
+
+    this.entries.set(url, {
+      size,
+      timestamp,
+      ttl,
+      revalidatable,
+      lastAccess: timestamp,
+      hits: existing ? existing.hits : 0
+    });
+    this.save();
+  }
+
+  /**
+   * Mark an entry as used
+   * @param {string} url - Cached URL
+   */
+  touch(url) {
+    const entry = this.entries.get(url);
+    if (entry) {
+      entry.lastAccess = Date.now();
+      entry.hits++;
+      this.save();
+    }
+  }
+
+  /**
+   * Check if a URL is indexed
+   * @param {string} url - Cached URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  /**
+   * Forget an entry
+   * @param {string} url - Cached URL
+   */
+  remove(url) {
+    if (this.entries.delete(url)) {
+      this.save();
+    }
+  }
+
+  /**
+   * URLs whose lifetime and stale grace period have passed. Revalidatable
+   * entries are kept, since a conditional request can refresh them cheaply;
+   * they leave the cache by eviction only.
+   * @param {number} defaultTtl - Lifetime of entries without their own TTL (ms)
+   * @param {number} grace - Time past expiry an entry may still be served (ms)
+   * @param {number} now - Current time
+   * @returns {Array<string>}
+   */
+  expired(defaultTtl, grace = 0, now = Date.now()) {
+    const urls = [];
+
+    this.entries.forEach((entry, url) => {
+      const ttl = typeof entry.ttl === 'number' ? entry.ttl : defaultTtl;
+      if (!entry.revalidatable && now - entry.timestamp > ttl + grace) {
+        urls.push(url);
+      }
+    });
+
+    return urls;
+  }
+
+  /**
+   * URLs to evict so an incoming entry fits both budgets
+   * @param {Object} limits - Cache limits
+   * @param {number} limits.maxEntries - Maximum number of entries
+   * @param {number} limits.maxBytes - Maximum total bytes (0 for no limit)
+   * @param {string} limits.policy - 'lru' or 'lfu'
+   * @param {number} incoming - Size of the entry about to be stored
+   * @param {string|null} incomingUrl - URL of that entry; an existing entry for it is replaced, not added to
+   * @returns {Array<string>} Least valuable entries first
+   */
+  victims({ maxEntries, maxBytes, policy }, incoming = 0, incomingUrl = null) {
+    const byValue = policy === 'lfu'
+      ? (a, b) => a[1].hits - b[1].hits || a[1].lastAccess - b[1].lastAccess
+      : (a, b) => a[1].lastAccess - b[1].lastAccess;
+
+    const replaced = incomingUrl !== null ? this.entries.get(incomingUrl) : undefined;
+    const candidates = Array.from(this.entries.entries())
+      .filter(([url]) => url !== incomingUrl)
+      .sort(byValue);
+    const victims = [];
+    let count = replaced ? this.entries.size - 1 : this.entries.size;
+    let bytes = replaced ? this.totalBytes - replaced.size : this.totalBytes;
+
+    while (candidates.length > 0 &&
+      (count + 1 > maxEntries || (maxBytes > 0 && bytes + incoming > maxBytes))) {
+      const [url, entry] = candidates.shift();
+      victims.push(url);
+      count--;
+      bytes -= entry.size;
+    }
+
+    return victims;
+  }
+
+  /**
+   * Drop entries that are no longer in the cache
+   * @param {Array<string>} urls - URLs actually present in the cache
+   * @returns {Array<string>} URLs present in the cache but missing from the index
+   */
+  reconcile(urls) {
+    const present = new Set(urls);
+
+    Array.from(this.entries.keys()).forEach(url => {
+      if (!present.has(url)) {
+        this.entries.delete(url);
+      }
+    });
+    this.save();
+
+    return urls.filter(url => !this.entries.has(url));
+  }
+
+  /**
+   * Forget every entry
+   */
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+
+  /**
+   * Remove the persisted index
+   */
+  destroy() {
+    this.entries.clear();
+
+    if (this.storageKey) {
+      try {
+        this.getArea().removeItem(this.storageKey);
+      } catch (error) {
+        // Storage unavailable
+      }
+    }
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Ghostloader - HTTP cache policy
+ * Decides whether a preloaded response may be stored and for how long, from
+ * its Cache-Control, Expires, Content-Type, Vary and cookie behaviour.
+ */
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @param {string|null} value - Header value
+ * @returns {Object} Directive name -> number (for delta-seconds), string
+ *   (e.g. the field list of private="set-cookie") or true
+ */
+export function parseCacheControl(value) {
+  const directives = {};
+
+  // Commas inside quoted field lists don't separate directives
+  ((value || '').match(/(?:[^,"]|"[^"]*")+/g) || []).forEach(part => {
+    const separator = part.indexOf('=');
+    const name = (separator === -1 ? part : part.slice(0, separator)).trim().toLowerCase();
+
+    if (!name) {
+      return;
+    }
+
+    if (separator === -1) {
+      directives[name] = true;
+      return;
+    }
+
+    const argument = part.slice(separator + 1).trim().replace(/^"|"$/g, '');
+    const seconds = parseInt(argument, 10);
+    directives[name] = isNaN(seconds) ? argument || true : seconds;
+  });
+
+  return directives;
+}
+
+/**
+ * Header fields named by a field-qualified directive such as
+ * private="set-cookie"
+ * @param {*} directive - Parsed directive value
+ * @returns {Array<string>|null} Lowercase field names, or null when the directive is unqualified
+ */
+export function getQualifiedFields(directive) {
+  return typeof directive === 'string'
+    ? directive.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : null;
+}
+
+/**
+ * Check if a response must be revalidated before every use: an unqualified
+ * no-cache directive
+ * @param {Object} directives - Parsed Cache-Control directives
+ * @returns {boolean}
+ */
+export function requiresRevalidation(directives) {
+  return !!directives['no-cache'] && !getQualifiedFields(directives['no-cache']);
+}
+
+/**
+ * Remaining freshness of a response from max-age, s-maxage or Expires,
+ * less the Age the response already had
+ * @param {Headers} headers - Response headers
+ * @param {Object} directives - Parsed Cache-Control directives
+ * @returns {number|null} Lifetime in ms, or null when the headers don't say
+ */
+export function getFreshnessLifetime(headers, directives) {
+  let lifetime = null;
+
+  if (typeof directives['max-age'] === 'number') {
+    lifetime = directives['max-age'] * 1000;
+  } else if (typeof directives['s-maxage'] === 'number') {
+    lifetime = directives['s-maxage'] * 1000;
+  } else if (headers.get('expires')) {
+    const expires = Date.parse(headers.get('expires'));
+    const date = Date.parse(headers.get('date')) || Date.now();
+    // Invalid dates (e.g. "0") mean already expired
+    lifetime = isNaN(expires) ? 0 : expires - date;
+  }
+
+  if (lifetime === null) {
+    return null;
+  }
+
+  const age = parseInt(headers.get('age'), 10);
+  return Math.max(0, lifetime - (isNaN(age) ? 0 : age * 1000));
+}
+
+/**
+ * Check a response's Vary header against the request headers allowed to vary
+ * @param {string|null} vary - Vary header value
+ * @param {Array<string>} allowList - Lowercase header names that are safe to vary on
+ * @returns {boolean}
+ */
+export function isVaryAllowed(vary, allowList) {
+  if (!vary) {
+    return true;
+  }
+
+  return vary.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .every(name => name !== '*' && allowList.includes(name));
+}
+
+/**
+ * Decide whether a response may be cached and for how long
+ * @param {Response} response - Fetched response (headers only are read)
+ * @param {Object} options - Policy options
+ * @param {Array<string>} options.contentTypes - Cacheable MIME types
+ * @param {Array<string>} options.varyAllowList - Request headers safe to vary on
+ * @param {boolean} options.cookiesChanged - Whether document.cookie changed during the fetch. Best effort:
+ *   browsers hide Set-Cookie from scripts and HttpOnly cookies never show up in document.cookie
+ * @returns {{cacheable: boolean, reason: string|null, ttl: number|null, revalidate: boolean,
+ *   stripHeaders: Array<string>, redirectedTo: string|null}} Field-qualified private and
+ *   no-cache responses are stored without the named fields; no-cache responses with an ETag or
+ *   Last-Modified are stored with a TTL of 0 and revalidated before every use
+ */
+export function evaluateResponse(response, { contentTypes, varyAllowList, cookiesChanged = false }) {
+  const { headers } = response;
+  const directives = parseCacheControl(headers.get('cache-control'));
+  const result = {
+    cacheable: false,
+    reason: null,
+    ttl: null,
+    revalidate: requiresRevalidation(directives),
+    stripHeaders: [].concat(
+      getQualifiedFields(directives.private) || [],
+      getQualifiedFields(directives['no-cache']) || []
+    ),
+    redirectedTo: response.redirected && response.url ? response.url : null
+  };
+
+  const contentType = (headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const hasValidators = !!(headers.get('etag') || headers.get('last-modified'));
+
+  if (directives['no-store']) {
+    result.reason = 'no-store';
+  } else if (directives.private && !getQualifiedFields(directives.private)) {
+    result.reason = 'private';
+  } else if (result.revalidate && !hasValidators) {
+    result.reason = 'no-cache';
+  } else if (!contentTypes.includes(contentType)) {
+    result.reason = 'content-type';
+  } else if (cookiesChanged) {
+    result.reason = 'set-cookie';
+  } else if (!isVaryAllowed(headers.get('vary'), varyAllowList)) {
+    result.reason = 'vary';
+  } else {
+    result.ttl = result.revalidate ? 0 : getFreshnessLifetime(headers, directives);
+    if (result.ttl === 0 && !result.revalidate) {
+      result.reason = 'stale';
+    } else {
+      result.cacheable = true;
+    }
+  }
+
+  return result;
+}
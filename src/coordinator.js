@@ -0,0 +1,316 @@
+/**
+ * Ghostloader - Cross-tab coordination
+ * Tabs exchange heartbeats over the BroadcastChannel and agree on a single
+ * leader that does the preloading: the visible tab, else the one visible
+ * most recently. Followers forward their strong intents to the leader, and
+ * all tabs share one data budget and one in-flight set. When the leader
+ * closes or goes quiet, the next tab in line takes over.
+ */
+
+// Messages owned by the coordinator
+const MESSAGE_TYPES = ['heartbeat', 'leave', 'intent', 'in-flight'];
+
+// How long the data used by a closed tab keeps counting against the shared budget (ms)
+const RETIRED_USAGE_WINDOW = 10 * 60 * 1000;
+
+export default class TabCoordinator {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   * @param {BroadcastChannel} channel - Channel shared with other tabs
+   */
+  constructor(loader, channel) {
+    this.loader = loader;
+    this.channel = channel;
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.members = new Map(); // id -> { visible, lastVisible, dataUsed, inFlight, lastSeen }
+    this.leaderId = this.id;
+    this.retiredDataUsed = new Map(); // tab id -> { bytes, retiredAt } for tabs that dropped out
+    this.lastVisible = 0;
+    this.heartbeatTimer = null;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  /**
+   * Announce this tab and start sending heartbeats
+   */
+  start() {
+    this.lastVisible = this.isVisible() ? Date.now() : 0;
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('focus', this.handleVisibilityChange);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.loader.config.coordinationHeartbeat);
+    this.heartbeat();
+
+    this.loader.debugLog('Tab coordination enabled, tab id', this.id);
+  }
+
+  /**
+   * Check if this tab is visible
+   * @returns {boolean}
+   */
+  isVisible() {
+    return document.visibilityState !== 'hidden';
+  }
+
+  /**
+   * Check if this tab does the preloading
+   * @returns {boolean}
+   */
+  isLeader() {
+    return this.leaderId === this.id;
+  }
+
+  /**
+   * Post a coordination message
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   */
+  post(type, payload = {}) {
+    try {
+      this.channel.postMessage({ type, from: this.id, timestamp: Date.now(), ...payload });
+    } catch (error) {
+      this.loader.debugLog('Coordination message failed:', type, error);
+    }
+  }
+
+  /**
+   * Broadcast this tab's state, forget silent tabs and re-run the election
+   */
+  heartbeat() {
+    const { loader } = this;
+    const timeout = loader.config.coordinationHeartbeat * 3;
+    const now = Date.now();
+
+    this.post('heartbeat', {
+      visible: this.isVisible(),
+      lastVisible: this.lastVisible,
+      dataUsed: loader.dataUsed,
+      inFlight: Array.from(loader.activePreloads.keys())
+    });
+
+    this.members.forEach((member, id) => {
+      if (now - member.lastSeen > timeout) {
+        this.removeMember(id);
+      }
+    });
+
+    // Every page load in another tab retires a tab id; let old usage lapse
+    this.retiredDataUsed.forEach(({ retiredAt }, id) => {
+      if (now - retiredAt > RETIRED_USAGE_WINDOW) {
+        this.retiredDataUsed.delete(id);
+      }
+    });
+
+    this.elect();
+  }
+
+  /**
+   * Handle a coordination message from another tab
+   * @param {Object} message - Message data
+   * @returns {boolean} Whether the message was a coordination message
+   */
+  handleMessage(message) {
+    if (!MESSAGE_TYPES.includes(message.type)) {
+      return false;
+    }
+
+    if (message.from === this.id) {
+      return true;
+    }
+
+    const member = this.members.get(message.from);
+
+    switch (message.type) {
+      case 'heartbeat': {
+        const isNew = !member;
+
+        // A tab that timed out and came back reports its usage again
+        this.retiredDataUsed.delete(message.from);
+        this.members.set(message.from, {
+          visible: message.visible,
+          lastVisible: message.lastVisible,
+          dataUsed: message.dataUsed,
+          inFlight: new Set(message.inFlight),
+          lastSeen: Date.now()
+        });
+
+        // Let a new tab learn about this one without waiting a full interval
+        if (isNew) {
+          this.heartbeat();
+        } else {
+          this.elect();
+        }
+        break;
+      }
+
+      case 'leave':
+        this.removeMember(message.from);
+        this.elect();
+        break;
+
+      case 'intent':
+        if (this.isLeader()) {
+          this.loader.handleForwardedIntent(message.url, message.signal, message.value);
+        }
+        break;
+
+      case 'in-flight':
+        if (member) {
+          if (message.active) {
+            member.inFlight.add(message.url);
+          } else {
+            member.inFlight.delete(message.url);
+          }
+        }
+        break;
+    }
+
+    return true;
+  }
+
+  /**
+   * Forget a tab, keeping its data usage in the shared budget until it
+   * reports again or RETIRED_USAGE_WINDOW passes
+   * @param {string} id - Tab id
+   */
+  removeMember(id) {
+    const member = this.members.get(id);
+    if (member) {
+      this.retiredDataUsed.set(id, { bytes: member.dataUsed || 0, retiredAt: Date.now() });
+      this.members.delete(id);
+    }
+  }
+
+  /**
+   * Pick the leader: visible tabs first, then the most recently visible,
+   * then the highest id so every tab reaches the same answer
+   */
+  elect() {
+    const candidates = [
+      { id: this.id, visible: this.isVisible(), lastVisible: this.lastVisible }
+    ];
+    this.members.forEach((member, id) => candidates.push({ id, ...member }));
+
+    candidates.sort((a, b) =>
+      (b.visible - a.visible) ||
+      (b.lastVisible - a.lastVisible) ||
+      (b.id > a.id ? 1 : -1)
+    );
+
+    const leaderId = candidates[0].id;
+    if (leaderId === this.leaderId) {
+      return;
+    }
+
+    const wasLeader = this.isLeader();
+    this.leaderId = leaderId;
+
+    if (this.isLeader()) {
+      this.loader.debugLog('This tab is now the preloading leader');
+    } else if (wasLeader) {
+      this.loader.debugLog('Handing preloading over to tab', leaderId);
+    }
+
+    this.loader.handleLeadershipChange();
+  }
+
+  /**
+   * Send an intent to the leader
+   * @param {string} url - Intended URL
+   * @param {string} signal - Intent signal name
+   * @param {number} value - Signal strength (0-1)
+   */
+  forwardIntent(url, signal, value) {
+    this.post('intent', { url, signal, value });
+  }
+
+  /**
+   * Tell other tabs a preload started or finished
+   * @param {string} url - Preloaded URL
+   * @param {boolean} active - Whether the preload is in flight
+   */
+  announceInFlight(url, active) {
+    this.post('in-flight', { url, active });
+  }
+
+  /**
+   * Check if another tab is preloading a URL
+   * @param {string} url - Normalized URL
+   * @returns {boolean}
+   */
+  isInFlightElsewhere(url) {
+    for (const member of this.members.values()) {
+      if (member.inFlight.has(url)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Data used by all tabs of the session, this one included
+   * @returns {number} Bytes
+   */
+  getSharedDataUsed() {
+    let total = this.loader.dataUsed;
+    this.retiredDataUsed.forEach(({ bytes }) => {
+      total += bytes;
+    });
+    this.members.forEach(member => {
+      total += member.dataUsed || 0;
+    });
+    return total;
+  }
+
+  /**
+   * Forget the data used by tabs that have left, e.g. after the cache is cleared
+   */
+  resetUsage() {
+    this.retiredDataUsed.clear();
+  }
+
+  /**
+   * Track when the tab was last visible and re-run the election
+   */
+  handleVisibilityChange() {
+    if (this.isVisible()) {
+      this.lastVisible = Date.now();
+    }
+    this.heartbeat();
+  }
+
+  /**
+   * Hand off leadership right away when the tab goes away
+   */
+  handlePageHide() {
+    this.post('leave');
+  }
+
+  /**
+   * Snapshot of the coordination state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      tabId: this.id,
+      leader: this.isLeader(),
+      leaderId: this.leaderId,
+      tabs: this.members.size + 1,
+      sharedDataUsed: this.getSharedDataUsed()
+    };
+  }
+
+  /**
+   * Leave the group and stop sending heartbeats
+   */
+  stop() {
+    this.post('leave');
+    clearInterval(this.heartbeatTimer);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('focus', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Ghostloader - Live link discovery
+ * Watches the DOM for links matching the configured selector and enqueues
+ * them as they enter the viewport (extended by a configurable root margin).
+ */
+
+export default class LinkDiscovery {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.observed = new WeakSet();
+    this.visibleLinks = new Set();
+    this.abortTimeouts = new Map(); // link -> timeoutId for links out of view
+  }
+
+  /**
+   * Check if the browser supports the observers discovery relies on
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' &&
+      'IntersectionObserver' in window &&
+      'MutationObserver' in window;
+  }
+
+  /**
+   * Start observing existing links and DOM changes
+   */
+  start() {
+    const { config } = this.loader;
+
+    this.intersectionObserver = new IntersectionObserver(
+      entries => this.handleIntersections(entries),
+      { rootMargin: config.discoveryRootMargin, threshold: 0 }
+    );
+
+    this.mutationObserver = new MutationObserver(
+      mutations => this.handleMutations(mutations)
+    );
+
+    document.querySelectorAll(config.selector).forEach(link => this.observeLink(link));
+
+    this.mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true
+    });
+
+    this.loader.debugLog('Live link discovery enabled with root margin', config.discoveryRootMargin);
+  }
+
+  /**
+   * Start watching a single link for viewport intersection
+   * @param {HTMLElement} link - Link element
+   */
+  observeLink(link) {
+    if (this.observed.has(link)) {
+      return;
+    }
+
+    this.observed.add(link);
+    this.intersectionObserver.observe(link);
+
+    // Eager links are queued as soon as they appear
+    if (this.loader.getLinkTrigger(link) === 'eager') {
+      this.loader.enqueueLink(link, link.getBoundingClientRect());
+    }
+  }
+
+  /**
+   * Stop watching a link and drop its queued item
+   * @param {HTMLElement} link - Link element
+   */
+  unobserveLink(link) {
+    if (!this.observed.has(link)) {
+      return;
+    }
+
+    this.observed.delete(link);
+    this.visibleLinks.delete(link);
+    this.cancelAbort(link);
+    this.intersectionObserver.unobserve(link);
+    this.loader.removeLinkFromQueue(link);
+  }
+
+  /**
+   * Enqueue links entering the observed area and drop links leaving it.
+   * In-flight preloads are only aborted once a link has stayed out for
+   * discoveryAbortDelay, so normal scrolling doesn't waste nearly finished
+   * downloads.
+   * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+   */
+  handleIntersections(entries) {
+    entries.forEach(entry => {
+      const link = entry.target;
+
+      if (entry.isIntersecting) {
+        this.visibleLinks.add(link);
+        this.cancelAbort(link);
+        this.loader.enqueueLink(link, entry.boundingClientRect);
+      } else if (this.visibleLinks.delete(link)) {
+        this.loader.handleLinkLeftView(link);
+        this.scheduleAbort(link);
+      }
+    });
+  }
+
+  /**
+   * Abort a link's in-flight preload if it is still out of view after
+   * discoveryAbortDelay
+   * @param {HTMLElement} link - Link element
+   */
+  scheduleAbort(link) {
+    this.cancelAbort(link);
+
+    const timeoutId = setTimeout(() => {
+      this.abortTimeouts.delete(link);
+      if (!this.visibleLinks.has(link)) {
+        this.loader.abortLinkOutOfView(link);
+      }
+    }, this.loader.config.discoveryAbortDelay);
+
+    this.abortTimeouts.set(link, timeoutId);
+  }
+
+  /**
+   * Keep a link's in-flight preload, e.g. because it scrolled back into view
+   * @param {HTMLElement} link - Link element
+   */
+  cancelAbort(link) {
+    clearTimeout(this.abortTimeouts.get(link));
+    this.abortTimeouts.delete(link);
+  }
+
+  /**
+   * Observe added links and release removed ones
+   * @param {Array<MutationRecord>} mutations - Mutation records
+   */
+  handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        this.findLinks(node).forEach(link => this.observeLink(link));
+      });
+
+      mutation.removedNodes.forEach(node => {
+        this.findLinks(node).forEach(link => {
+          // Nodes moved within the document are reported as removed and added
+          if (!link.isConnected) {
+            this.unobserveLink(link);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Collect matching links from a node and its descendants
+   * @param {Node} node - Added or removed node
+   * @returns {Array<HTMLElement>}
+   */
+  findLinks(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return [];
+    }
+
+    const { selector } = this.loader.config;
+    const links = Array.from(node.querySelectorAll(selector));
+
+    if (node.matches(selector)) {
+      links.unshift(node);
+    }
+
+    return links;
+  }
+
+  /**
+   * Disconnect all observers
+   */
+  stop() {
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    this.abortTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+    this.abortTimeouts.clear();
+    this.observed = new WeakSet();
+    this.visibleLinks.clear();
+  }
+}
@@ -3,6 +3,47 @@
  * Version 0.2
  */
 
+import LinkDiscovery from './discovery.js';
+import PriorityQueue from './priority-queue.js';
+import TrajectoryPredictor from './trajectory.js';
+import NavigationModel from './navigation-model.js';
+import { readLinkOptions } from './link-options.js';
+import RuleEngine from './rules.js';
+import { STRATEGIES, resolveStrategyName } from './strategies/index.js';
+import CircuitBreaker, { getBackoffDelay, isRetryableStatus, parseRetryAfter } from './retry.js';
+import { readBody } from './body.js';
+import { getTransferSize, timingNow } from './resource-timing.js';
+import PreloadScheduler from './scheduler.js';
+import TabCoordinator from './coordinator.js';
+import InvalidationSource from './invalidation.js';
+import ServiceWorkerBridge from './service-worker.js';
+import { parseJsonManifest, parseXmlSource, rankWarmupEntries } from './warmup.js';
+import Router from './router.js';
+import { evaluateResponse, getFreshnessLifetime, parseCacheControl, requiresRevalidation } from './cache-policy.js';
+import CacheIndex, { EVICTION_POLICIES } from './cache-index.js';
+import { MemoryStorage, createStorage } from './storage/index.js';
+import {
+  DEFAULT_SUBRESOURCE_BUDGETS,
+  DEFAULT_SUBRESOURCE_TYPES,
+  extractSubresources,
+  getKnownResources
+} from './subresources.js';
+
+// Storage namespaces (Cache API cache names) are "<prefix>-v<version>[:<partition>]"
+const CACHE_PREFIX = 'ghostloader-cache';
+
+// localStorage key prefix for each cache's metadata index
+const CACHE_INDEX_PREFIX = 'ghostloader-index:';
+
+// Signals that mean the user is about to follow a link
+const INTENT_SIGNALS = ['touch', 'hover', 'focus', 'trajectory'];
+
+// Intents strong enough to preempt an active preload
+const PREEMPTING_SIGNALS = ['touch', 'hover', 'focus'];
+
+// Minimum time between viewport re-scores while scrolling (ms)
+const VIEWPORT_RESCORE_INTERVAL = 200;
+
 class Ghostloader {
   constructor() {
     this.config = {
@@ -11,10 +52,32 @@ class Ghostloader {
       maxConcurrent: 3, // the maximum number of concurrent requests
       selector: 'a[href]', // the selector to use to find the links to preload
 
+      // Live link discovery
+      liveDiscovery: true, // watch the DOM and enqueue links as they enter the viewport
+      discoveryRootMargin: '200px', // margin around the viewport in which links are enqueued
+      discoveryAbortDelay: 3000, // how long a link must stay out of that area before its in-flight preload is aborted (ms)
+
       // New delay configurations
       initialDelay: 1000, // delay before starting preloading (ms)
       betweenDelay: 100, // delay between processing queue items (ms)
       hoverDelay: 150, // delay before boosting hovered links (ms)
+      touchDelay: 0, // delay before boosting touched/pressed links (ms)
+      focusDelay: 100, // delay before boosting keyboard-focused links (ms)
+
+      // Cursor trajectory prediction
+      trajectoryPrediction: false, // boost links the pointer is heading toward before hover
+      trajectoryThreshold: 0.75, // minimum confidence (0-1) before boosting a predicted link
+      trajectorySampleInterval: 50, // minimum time between pointer samples (ms)
+
+      // Queue scoring
+      priorityWeights: {}, // per-signal weights merged over the queue defaults
+
+      // Navigation learning
+      learning: false, // learn source -> destination navigations and preload likely next pages
+      learningMaxEntries: 200, // maximum number of source pages kept in the model
+      learningHalfLife: 14 * 24 * 60 * 60 * 1000, // time for a transition's weight to halve (ms)
+      learningPredictions: 3, // number of predicted pages to queue per page view
+      learningThreshold: 0.2, // minimum transition probability (0-1) to queue a prediction
 
       // Exclusion patterns
       excludeSelectors: [
@@ -32,18 +95,68 @@ class Ghostloader {
         /^data:/
       ],
 
+      // Route rules: [{ match, preload, ttl, priorityWeight, trigger, maxSize,
+      // headers, credentials, instantTransitions }], first match wins
+      rules: [],
+
+      // Preload strategy: 'fetch' | 'link-prefetch' | 'speculation-rules' | 'auto'
+      strategy: 'fetch',
+      speculationAction: 'prefetch', // 'prefetch' or 'prerender' for speculation rules
+      speculationEagerness: 'immediate', // eagerness for injected speculation rules
+
+      // Subresource warming
+      warmSubresources: false, // warm CSS, JS, fonts and LCP images of preloaded pages
+      subresourceTypes: {}, // per-type toggles merged over the defaults (all enabled)
+      subresourceBudgets: {}, // per-type byte budgets per session, merged over the defaults
+
       // Network and performance
       fetchHeaders: {},
       requestTimeout: 10000, // 10 seconds
+      maxRetries: 2, // retries for timeouts, network errors, 408, 429 and 5xx responses
+      retryBaseDelay: 1000, // delay before the first retry, doubled on each attempt (ms)
+      retryMaxDelay: 30000, // upper bound for the backoff delay (ms)
+      retryJitter: 0.5, // fraction (0-1) of the backoff delay that is randomized
+      circuitBreakerThreshold: 5, // consecutive failures before an origin is paused
+      circuitBreakerCooldown: 60000, // how long a failing origin is paused (ms)
       connectionAware: true,
       dataLimit: 50 * 1024 * 1024, // 50MB per session
+      maxResponseSize: 5 * 1024 * 1024, // abort preloads whose body grows past 5MB (0 for no limit)
+      preemption: true, // abort the lowest-priority active preload when a hover/touch/focus intent finds the pool full
+
+      // Scheduling
+      idleScheduling: true, // dispatch preloads in requestIdleCallback idle periods
+      idleTimeout: 2000, // longest wait for an idle period before dispatching anyway (ms)
+      pauseWhenHidden: true, // hold preloads while the tab is hidden
+      lowMemoryThreshold: 2, // limit to one request at a time at or below this navigator.deviceMemory (GB)
+      lowBatteryThreshold: 0.2, // hold preloads below this battery level (0-1) while discharging
+      longTaskBackoff: 1000, // hold preloads for this long after a long task (ms, 0 to disable)
       bandwidthThrottle: true,
 
       // Cache configuration
       cacheMaxSize: 100, // maximum number of cached items
+      cacheMaxBytes: 20 * 1024 * 1024, // maximum total size of cached pages (0 for no limit)
+      cacheEvictionPolicy: 'lru', // 'lru' (least recently used) or 'lfu' (least frequently used)
       cacheExpiration: 24 * 60 * 60 * 1000, // 24 hours in ms
-      cacheVersion: '1.0',
+      cachePurgeInterval: 5 * 60 * 1000, // how often expired pages are purged (ms, 0 to disable)
+      staleWhileRevalidate: 0, // how long past expiry a page may still be served while it is refreshed (ms)
+      onStaleUpdate: null, // (url, html) => void, called when a background refresh finds changed HTML
+      cacheVersion: '1.0', // cache namespace version, or 'auto' to read it from the page
+      versionMeta: 'ghostloader-version', // meta tag holding the build hash when cacheVersion is 'auto'
+      versionHeader: null, // response header holding the build hash when cacheVersion is 'auto' (e.g. 'x-build-hash')
       crossTabCache: true,
+      coordination: true, // elect one tab to preload for all tabs sharing the cache
+      coordinationHeartbeat: 2000, // how often tabs announce themselves (ms); silent tabs drop out after 3 beats
+      invalidationSource: null, // EventSource, WebSocket or JSON manifest URL announcing changed pages
+      invalidationType: 'auto', // 'auto' | 'sse' | 'websocket' | 'poll' ('auto' picks WebSocket for ws(s):// URLs, else SSE)
+      invalidationPollInterval: 60 * 1000, // how often the manifest is polled (ms)
+      cacheTagHeader: 'cache-tag', // response header listing a page's tags, for tag invalidation
+      serviceWorker: null, // URL of the companion service worker (dist/ghostloader-sw.js) to register
+      serviceWorkerScope: null, // registration scope, defaults to the script's directory
+      storage: 'auto', // 'auto' | 'cache' | 'indexeddb' | 'session' | 'memory', or a custom adapter instance
+      partitionKey: null, // string, or (async) function returning one (e.g. a user id hash), isolating cached pages per user/session
+      respectCacheHeaders: true, // honour no-store/private/no-cache and derive TTLs from max-age, s-maxage and Expires
+      cacheableContentTypes: ['text/html'], // MIME types that may be stored
+      cacheVaryAllowList: ['accept-encoding'], // request headers a cached response may Vary on
 
       // Debug and logging
       debug: false,
@@ -51,24 +164,45 @@ class Ghostloader {
 
       // Advanced features
       instantTransitions: true,
-      ssrHints: true
+      executeScripts: true, // run scripts of pages shown by instant transitions (skip one with data-ghostloader-eval="false")
+      scrollRestoration: true, // reset scroll on transitions and restore it on back/forward
+      viewTransitions: false, // animate swaps with document.startViewTransition(), or CSS classes where unsupported
+      transitionDuration: 200, // length of the CSS-class fallback transition (ms)
+      ssrHints: true,
+      warmupSources: [], // sitemap.xml, RSS/Atom feed or JSON manifest URLs to warm pages from
+      warmupLimit: 10, // how many of the top-ranked warmup entries to queue
+      warmupMaxSitemaps: 5 // child sitemaps followed from a sitemap index
     };
 
-    this.queue = [];
+    this.queue = new PriorityQueue();
+    this.rules = new RuleEngine();
+    this.circuitBreaker = new CircuitBreaker({
+      threshold: this.config.circuitBreakerThreshold,
+      cooldown: this.config.circuitBreakerCooldown
+    });
     this.processing = new Set();
     this.processed = new Set();
-    this.cache = new Map(); // Fallback cache
-    this.cacheAPI = null;
+    this.retryTimeouts = new Map(); // url -> timeoutId for scheduled retries
+    this.staleRefreshes = new Map(); // url -> stale HTML served, awaiting its refresh
+    this.activePreloads = new Map(); // url -> { controller, item, reason } for in-flight preloads
+    this.storage = new MemoryStorage(); // replaced by the configured adapter on start
+    this.partition = null; // resolved partitionKey of the open cache
+    this.version = null; // resolved cacheVersion of the open cache
+    this.cacheIndex = new CacheIndex(); // size and access metadata of cached pages
+    this.cachePurgeTimer = null;
+    this.viewportRescoreTimer = null; // pending throttled viewport re-score
     this.isInitialized = false;
+    this.isPaused = false;
     this.activeRequests = 0;
 
     // New state tracking
-    this.hoverTimeouts = new Map();
+    this.intentTimeouts = new Map(); // element -> { [signal]: timeoutId }
     this.dataUsed = 0;
     this.sessionStart = Date.now();
     this.connectionInfo = null;
     this.bandwidthEstimate = null;
     this.ssrHintsReceived = new Set();
+    this.navigationModel = null;
 
     // Performance monitoring
     this.stats = {
@@ -77,11 +211,65 @@ class Ghostloader {
       cacheMisses: 0,
       bytesTransferred: 0,
       averageResponseTime: 0,
-      connectionType: 'unknown'
+      connectionType: 'unknown',
+      strategies: {}, // per-strategy completion and data usage
+      cancelled: 0,
+      preempted: 0,
+      failures: {
+        total: 0,
+        retries: 0,
+        byReason: {},
+        byOrigin: {}
+      },
+      uncacheable: {}, // reason -> count of responses the cache policy refused
+      evictions: 0,
+      expiredPurged: 0,
+      versionMisses: 0, // entries dropped because they belong to another version
+      revalidations: 0, // expired pages refreshed by a 304
+      staleServed: 0, // stale pages served while refreshing
+      invalidated: 0, // pages dropped by server invalidations
+      serviceWorkerHits: 0, // navigations the service worker answered from the cache
+      warmupQueued: 0 // pages queued from warmup sources
     };
 
+    // Preload strategy instances, created on first use
+    this.strategies = {};
+
+    // Bytes used by warmed subresources, per type
+    this.subresourceBytes = {};
+
     // Cross-tab communication
     this.broadcastChannel = null;
+
+    // Leader election and shared budget across tabs
+    this.coordinator = null;
+
+    // Server-pushed invalidations
+    this.invalidation = null;
+
+    // Companion service worker
+    this.serviceWorker = null;
+
+    // Instant transition router
+    this.router = null;
+
+    // Live link discovery
+    this.discovery = null;
+
+    // Cursor trajectory prediction
+    this.trajectory = null;
+
+    // Idle, visibility and device-aware dispatch
+    this.scheduler = new PreloadScheduler(this);
+
+    // Hover, touch and focus listeners, bound once so destroy() can remove them
+    this.handleMouseEnter = this.handleMouseEnter.bind(this);
+    this.handleMouseLeave = this.handleMouseLeave.bind(this);
+    this.handlePress = this.handlePress.bind(this);
+    this.handlePressCancel = this.handlePressCancel.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleFocusOut = this.handleFocusOut.bind(this);
+    this.handleQueueScroll = this.handleQueueScroll.bind(this);
   }
 
   /**
@@ -101,6 +289,12 @@ class Ghostloader {
    */
   configure(options) {
     this.config = { ...this.config, ...options };
+    this.queue.setWeights(this.config.priorityWeights);
+    this.rules.setRules(this.config.rules);
+    this.circuitBreaker = new CircuitBreaker({
+      threshold: this.config.circuitBreakerThreshold,
+      cooldown: this.config.circuitBreakerCooldown
+    });
     this.log('Configured with options:', this.config);
   }
 
@@ -120,6 +314,9 @@ class Ghostloader {
       await this.detectConnection();
     }
 
+    // Watch visibility, battery and long tasks
+    this.scheduler.start();
+
     // Set up cross-tab communication
     if (this.config.crossTabCache) {
       this.setupCrossTabCache();
@@ -128,6 +325,33 @@ class Ghostloader {
     // Initialize cache system
     await this.initializeCache();
 
+    // Coordination needs a cache every tab can read
+    if (this.config.coordination && this.broadcastChannel && this.storage.shared) {
+      this.coordinator = new TabCoordinator(this, this.broadcastChannel);
+      this.coordinator.start();
+    }
+
+    // Listen for pages changed on the server
+    if (this.config.invalidationSource) {
+      this.invalidation = new InvalidationSource(this);
+      this.updateInvalidationSource();
+    }
+
+    // Let the service worker answer real navigations from the cache
+    if (ServiceWorkerBridge.isSupported()) {
+      this.serviceWorker = new ServiceWorkerBridge(this);
+      this.serviceWorker.recordNavigationHit();
+
+      if (this.config.serviceWorker) {
+        this.registerServiceWorker(this.config.serviceWorker, { scope: this.config.serviceWorkerScope });
+      }
+    }
+
+    // Learn navigations and queue likely next pages
+    if (this.config.learning) {
+      this.setupLearning();
+    }
+
     // Process server-side rendering hints
     if (this.config.ssrHints) {
       this.processSSRHints();
@@ -139,12 +363,33 @@ class Ghostloader {
       await this.delay(this.config.initialDelay);
     }
 
-    // Build initial queue from visible links
-    this.buildQueue();
+    // Watch for links entering the viewport, or take a one-off snapshot
+    if (this.config.liveDiscovery && LinkDiscovery.isSupported()) {
+      this.discovery = new LinkDiscovery(this);
+      this.discovery.start();
+    } else {
+      this.buildQueue();
+    }
+
+    // Keep viewport proximity in step with scrolling
+    window.addEventListener('scroll', this.handleQueueScroll, { passive: true });
+
+    // Warm key pages listed in sitemaps, feeds or manifests
+    if (this.config.warmupSources.length > 0) {
+      this.warmup();
+    }
 
-    // Set up instant hover listeners if enabled
+    // Set up hover, touch and keyboard intent listeners if enabled
     if (this.config.instantHover) {
       this.setupHoverListeners();
+      this.setupTouchListeners();
+      this.setupFocusListeners();
+    }
+
+    // Predict pointer targets if enabled
+    if (this.config.trajectoryPrediction) {
+      this.trajectory = new TrajectoryPredictor(this);
+      this.trajectory.start();
     }
 
     // Set up instant transitions if enabled
@@ -160,339 +405,1896 @@ class Ghostloader {
   }
 
   /**
-   * Initialize cache system (Cache API or fallback)
+   * Initialize cache system (configured storage adapter or memory fallback)
    */
   async initializeCache() {
+    this.version = await this.resolveCacheVersion();
+    this.partition = await this.resolvePartitionKey();
+
     try {
-      if ('caches' in window) {
-        this.cacheAPI = await caches.open('ghostloader-cache-v1');
-        this.log('Cache API initialized');
-      } else {
-        this.log('Cache API not available, using memory fallback');
-      }
+      this.storage = createStorage(this.config.storage);
+      await this.storage.open(this.getCacheName(this.partition));
+      await this.purgeStaleCaches();
+      this.log('Cache storage initialized:', this.storage.name);
     } catch (error) {
-      this.log('Cache API initialization failed, using memory fallback:', error);
+      this.log('Cache storage initialization failed, using memory fallback:', error);
+      this.storage = new MemoryStorage();
+      await this.storage.open(this.getCacheName(this.partition));
+    }
+
+    await this.openCacheIndex();
+
+    // The page being viewed is the most recently used one
+    this.cacheIndex.touch(this.normalizeUrl(window.location.href));
+
+    await this.purgeExpiredEntries();
+
+    if (this.config.cachePurgeInterval > 0) {
+      this.cachePurgeTimer = setInterval(() => this.purgeExpiredEntries(), this.config.cachePurgeInterval);
     }
   }
 
   /**
-   * Build priority queue from visible links, sorted by DOM position
+   * Load the metadata index of the open cache and reconcile it with the
+   * entries actually stored
    */
-  buildQueue() {
-    const links = document.querySelectorAll(this.config.selector);
-    const linkData = [];
+  async openCacheIndex() {
+    this.cacheIndex = new CacheIndex(
+      this.storage.persistent ? CACHE_INDEX_PREFIX + this.getCacheName(this.partition) : null,
+      this.getCacheIndexArea()
+    );
+    this.cacheIndex.load();
 
-    links.forEach(link => {
-      const href = this.normalizeUrl(link.href);
+    try {
+      const missing = this.cacheIndex.reconcile(await this.storage.keys());
 
-      // Skip if already processed or invalid
-      if (!href || this.processed.has(href) || this.processing.has(href)) {
-        return;
-      }
+      // Index entries stored before the index existed from their metadata
+      await Promise.all(missing.map(url => this.indexStoredEntry(url)));
+    } catch (error) {
+      this.debugLog('Cache index sync error:', error);
+    }
+  }
 
-      // Check exclusion patterns
-      if (this.shouldExclude(link, href)) {
-        this.verboseLog('Excluded link:', href);
-        return;
-      }
+  /**
+   * Add a stored page to the cache index from its metadata headers
+   * @param {string} url - Cached URL
+   * @returns {Promise<boolean>} Whether the page was found
+   */
+  async indexStoredEntry(url) {
+    const response = await this.storage.get(url);
+    if (!response) {
+      return false;
+    }
 
-      // Check cache mode restrictions
-      if (!this.shouldPreload(href)) {
-        return;
-      }
+    const ttl = parseInt(response.headers.get('x-ghostloader-ttl'), 10);
 
-      // Check data usage limits
-      if (this.config.connectionAware && !this.withinDataLimits()) {
-        this.debugLog('Data limit reached, skipping preloading');
-        return;
-      }
+    this.cacheIndex.record(url, {
+      size: parseInt(response.headers.get('x-ghostloader-size'), 10) || 0,
+      timestamp: parseInt(response.headers.get('x-ghostloader-timestamp'), 10) || Date.now(),
+      ttl: isNaN(ttl) ? null : ttl,
+      revalidatable: this.hasValidators(response)
+    });
+    return true;
+  }
 
-      // Get element position for priority sorting
-      const rect = link.getBoundingClientRect();
-      const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+  /**
+   * Where the cache index is persisted. An index of pages only this tab can
+   * read stays per tab too, so other tabs never reconcile it against their
+   * own, empty storage.
+   * @returns {string} 'local' or 'session'
+   */
+  getCacheIndexArea() {
+    return this.storage.shared ? 'local' : 'session';
+  }
 
-      if (isVisible) {
-        linkData.push({
-          url: href,
-          element: link,
-          priority: rect.top, // Top-to-bottom priority
-          timestamp: Date.now()
-        });
-      }
-    });
+  /**
+   * Delete every cached page whose lifetime has passed
+   */
+  async purgeExpiredEntries() {
+    const expired = this.cacheIndex.expired(this.config.cacheExpiration, this.config.staleWhileRevalidate);
 
-    // Sort by priority (top to bottom)
-    linkData.sort((a, b) => a.priority - b.priority);
+    if (expired.length === 0) {
+      return;
+    }
 
-    this.queue = linkData;
-    this.debugLog(`Built queue with ${this.queue.length} links`);
+    await Promise.all(expired.map(url => this.deleteCacheEntry(url)));
+    this.stats.expiredPurged += expired.length;
+    this.debugLog('Purged', expired.length, 'expired cache entries');
   }
 
   /**
-   * Check if URL should be preloaded based on cache mode
-   * @param {string} url - URL to check
-   * @returns {boolean}
+   * Delete a cached page and its metadata
+   * @param {string} url - Cached URL
    */
-  shouldPreload(url) {
+  async deleteCacheEntry(url) {
     try {
-      const urlObj = new URL(url);
-      const currentOrigin = window.location.origin;
+      await this.storage.delete(url);
+    } catch (error) {
+      this.debugLog('Cache delete error:', error);
+    }
 
-      if (this.config.cacheMode === 'local') {
-        return urlObj.origin === currentOrigin;
-      }
+    this.cacheIndex.remove(url);
+  }
 
-      // For external mode, allow all URLs (CORS will be handled during fetch)
-      return true;
+  /**
+   * Resolve the configured partition key
+   * @returns {Promise<string|null>}
+   */
+  async resolvePartitionKey() {
+    const { partitionKey } = this.config;
+
+    try {
+      const key = typeof partitionKey === 'function' ? await partitionKey() : partitionKey;
+      return key ? String(key) : null;
     } catch (error) {
-      this.log('Invalid URL:', url, error);
-      return false;
+      // Falling back to the shared cache still purges the previous partition
+      this.debugLog('Partition key error:', error);
+      return null;
     }
   }
 
   /**
-   * Normalize URL for consistent caching
-   * @param {string} url - URL to normalize
-   * @returns {string|null}
+   * Resolve the cache version, reading the build hash from the page when
+   * cacheVersion is 'auto'
+   * @returns {Promise<string>}
    */
-  normalizeUrl(url) {
+  async resolveCacheVersion() {
+    const { cacheVersion, versionMeta, versionHeader } = this.config;
+
+    if (cacheVersion !== 'auto') {
+      return String(cacheVersion);
+    }
+
+    const meta = versionMeta && document.querySelector(`meta[name="${versionMeta}"]`);
+    if (meta && meta.content) {
+      return meta.content;
+    }
+
+    // The document's own headers aren't readable, so ask the server again
+    if (versionHeader) {
+      try {
+        const response = await fetch(window.location.href, {
+          method: 'HEAD',
+          credentials: 'same-origin',
+          cache: 'no-store'
+        });
+        const value = response.headers.get(versionHeader);
+        if (value) {
+          return value;
+        }
+      } catch (error) {
+        this.debugLog('Cache version lookup failed:', error);
+      }
+    }
+
+    this.debugLog('No build hash found, using the default cache version');
+    return 'auto';
+  }
+
+  /**
+   * Storage namespace for the current version and a partition
+   * @param {string|null} partition - Partition key
+   * @returns {string}
+   */
+  getCacheName(partition) {
+    const name = `${CACHE_PREFIX}-v${encodeURIComponent(this.version)}`;
+    return partition ? `${name}:${encodeURIComponent(partition)}` : name;
+  }
+
+  /**
+   * Delete the stored pages of other versions and of every partition except
+   * the current one
+   */
+  async purgeStaleCaches() {
     try {
-      const urlObj = new URL(url, window.location.href);
-      // Remove hash for caching purposes
-      urlObj.hash = '';
-      return urlObj.href;
+      const current = this.getCacheName(this.partition);
+      const names = await this.storage.names();
+      const stale = names.filter(name => name.startsWith(CACHE_PREFIX + '-v') && name !== current);
+
+      await Promise.all(stale.map(name => this.storage.drop(name)));
+      stale.forEach(name => new CacheIndex(CACHE_INDEX_PREFIX + name, this.getCacheIndexArea()).destroy());
+
+      if (stale.length > 0) {
+        this.debugLog('Purged', stale.length, 'caches of other versions or partitions');
+      }
     } catch (error) {
+      this.debugLog('Stale cache purge error:', error);
+    }
+  }
+
+  /**
+   * Switch caches if the partition key changed since the cache was opened.
+   * Everything preloaded for the previous partition is dropped.
+   */
+  async ensurePartition() {
+    if (!this.config.partitionKey && this.partition === null) {
+      return;
+    }
+
+    const partition = await this.resolvePartitionKey();
+    if (partition === this.partition) {
+      return;
+    }
+
+    this.debugLog('Partition key changed, switching cache partition');
+    this.partition = partition;
+    this.resetPartitionState();
+
+    await this.storage.open(this.getCacheName(partition));
+    await this.purgeStaleCaches();
+    await this.openCacheIndex();
+
+    // The worker must stop serving the previous partition's pages
+    if (this.serviceWorker) {
+      this.serviceWorker.sendConfig();
+    }
+  }
+
+  /**
+   * Register the companion service worker, which answers navigations from
+   * the cache while pages are fresh
+   * @param {string} scriptUrl - Worker script URL
+   * @param {Object} options - Registration options
+   * @param {string} options.scope - Registration scope
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  async registerServiceWorker(scriptUrl, options = {}) {
+    if (!this.serviceWorker) {
+      this.debugLog('Service workers not supported');
       return null;
     }
+    return this.serviceWorker.register(scriptUrl, options);
   }
 
   /**
-   * Set up hover listeners for instant priority boost
+   * Purge the current partition's cached pages, e.g. on logout
    */
-  setupHoverListeners() {
-    document.addEventListener('mouseenter', (event) => {
-      if (event.target.matches(this.config.selector)) {
-        const href = this.normalizeUrl(event.target.href);
-        if (href && this.shouldPreload(href) && !this.shouldExclude(event.target, href)) {
-          // Clear any existing timeout for this element
-          if (this.hoverTimeouts.has(event.target)) {
-            clearTimeout(this.hoverTimeouts.get(event.target));
-          }
+  async purgePartition() {
+    this.resetPartitionState();
 
-          // Set hover delay threshold
-          const timeoutId = setTimeout(() => {
-            this.boostPriority(href);
-            this.hoverTimeouts.delete(event.target);
-          }, this.config.hoverDelay);
+    try {
+      const name = this.getCacheName(this.partition);
+      await this.storage.drop(name);
+      await this.storage.open(name);
 
-          this.hoverTimeouts.set(event.target, timeoutId);
-        }
+      if (this.broadcastChannel) {
+        this.broadcastChannel.postMessage({
+          type: 'partition-purge',
+          partition: this.partition,
+          timestamp: Date.now()
+        });
       }
-    }, true);
-
-    // Clean up hover timeouts on mouse leave
-    document.addEventListener('mouseleave', (event) => {
-      if (event.target.matches(this.config.selector)) {
-        if (this.hoverTimeouts.has(event.target)) {
-          clearTimeout(this.hoverTimeouts.get(event.target));
-          this.hoverTimeouts.delete(event.target);
-        }
+
+      this.debugLog('Cache partition purged');
+    } catch (error) {
+      this.debugLog('Cache partition purge error:', error);
+    }
+  }
+
+  /**
+   * Forget in-memory preload state that belongs to a partition
+   */
+  resetPartitionState() {
+    this.cancelAll();
+    this.cacheIndex.clear();
+    this.processed.clear();
+  }
+
+  /**
+   * Build priority queue from visible links
+   */
+  buildQueue() {
+    const links = document.querySelectorAll(this.config.selector);
+
+    links.forEach(link => {
+      // Get element position for priority sorting
+      const rect = link.getBoundingClientRect();
+      const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+
+      if (isVisible || this.getLinkTrigger(link) === 'eager') {
+        this.enqueueLink(link, rect, false);
       }
-    }, true);
+    });
 
-    this.debugLog('Hover listeners enabled with', this.config.hoverDelay, 'ms delay');
+    this.debugLog(`Built queue with ${this.queue.length} links`);
   }
 
   /**
-   * Move hovered link to front of queue
-   * @param {string} url - URL to boost
+   * Add a link to the queue if it is eligible for preloading, or refresh
+   * its position signals if it is already queued
+   * @param {HTMLElement} link - Link element
+   * @param {DOMRect} rect - Element position used for scoring
+   * @param {boolean} process - Whether to start processing right away
+   * @returns {boolean} Whether the link is queued
    */
-  boostPriority(url) {
-    // Find link in queue
-    const index = this.queue.findIndex(item => item.url === url);
+  enqueueLink(link, rect, process = true) {
+    const href = this.getLinkUrl(link);
+
+    // Skip if already processed or invalid
+    if (!href || this.isTracked(href)) {
+      return false;
+    }
+
+    const options = this.resolveOptions(href, link);
+
+    // Links that only preload on intent are never queued by position
+    if (options.trigger === 'hover' || options.trigger === 'click') {
+      return false;
+    }
+
+    const signals = {
+      viewport: this.getViewportSignal(rect),
+      size: this.getSizeSignal(rect)
+    };
+
+    if (options.priority !== undefined) {
+      signals.override = options.priority;
+    }
+
+    if (this.queue.has(href)) {
+      this.queue.upsert(href, { signals });
+      return true;
+    }
+
+    // Check exclusion patterns
+    if (this.shouldExclude(link, href)) {
+      this.verboseLog('Excluded link:', href);
+      return false;
+    }
+
+    // Check cache mode restrictions
+    if (!this.shouldPreload(href)) {
+      return false;
+    }
+
+    // Check data usage limits
+    if (this.config.connectionAware && !this.withinDataLimits()) {
+      this.debugLog('Data limit reached, skipping preloading');
+      return false;
+    }
+
+    signals.history = this.getHistorySignal(href);
+    this.queue.upsert(href, {
+      element: link,
+      source: 'link',
+      options,
+      weight: options.priorityWeight,
+      signals
+    });
 
-    if (index > 0) {
-      // Move to front
-      const item = this.queue.splice(index, 1)[0];
-      this.queue.unshift(item);
-      this.log('Boosted priority for:', url);
+    this.verboseLog('Queued link:', href);
 
-      // Trigger immediate processing if not at max concurrency
+    if (process && this.isInitialized) {
       this.processQueue();
     }
+
+    return true;
   }
 
   /**
-   * Process the queue with concurrency control
+   * Drop queued items and abort in-flight preloads belonging to a link that
+   * left the DOM
+   * @param {HTMLElement} link - Link element
    */
-  async processQueue() {
-    while (this.queue.length > 0 && this.activeRequests < this.getEffectiveMaxConcurrent()) {
-      const item = this.queue.shift();
+  removeLinkFromQueue(link) {
+    if (this.queue.removeWhere(item => item.element === link) > 0) {
+      this.verboseLog('Dropped removed link from queue:', link.href);
+    }
 
-      if (!item || this.processing.has(item.url) || this.processed.has(item.url)) {
-        continue;
-      }
+    this.abortWhere(item => item.element === link, 'cancelled');
+  }
 
-      // Check data limits before processing
-      if (this.config.connectionAware && !this.withinDataLimits()) {
-        this.debugLog('Data limit reached, pausing queue processing');
-        break;
-      }
+  /**
+   * Drop the queued item of a link that scrolled out of the discovery area,
+   * unless it is eager or the user has shown intent to follow it. Its
+   * in-flight preload keeps going; see abortLinkOutOfView().
+   * @param {HTMLElement} link - Link element
+   */
+  handleLinkLeftView(link) {
+    if (this.getLinkTrigger(link) === 'eager') {
+      return;
+    }
 
-      this.processing.add(item.url);
-      this.activeRequests++;
+    if (this.queue.removeWhere(item => item.element === link && !this.hasIntent(item)) > 0) {
+      this.verboseLog('Dropped link that left the view:', link.href);
+    }
+  }
 
-      // Apply between-delay if configured
-      if (this.config.betweenDelay > 0 && this.activeRequests > 1) {
-        await this.delay(this.config.betweenDelay);
-      }
+  /**
+   * Abort the in-flight preload of a link that stayed out of the discovery
+   * area for discoveryAbortDelay, unless it is eager or has intent
+   * @param {HTMLElement} link - Link element
+   */
+  abortLinkOutOfView(link) {
+    if (this.getLinkTrigger(link) === 'eager') {
+      return;
+    }
+
+    this.abortWhere(item => item.element === link && !this.hasIntent(item), 'cancelled');
+  }
+
+  /**
+   * Check if a queue item carries a hover, touch, focus or trajectory signal
+   * @param {Object} item - Queue item
+   * @returns {boolean}
+   */
+  hasIntent(item) {
+    const signals = item.signals || {};
+    return INTENT_SIGNALS.some(signal => signals[signal] > 0);
+  }
+
+  /**
+   * Score a link by its distance from the top of the viewport
+   * @param {DOMRect} rect - Element position
+   * @returns {number} 1 at the top of the viewport, 0 two screens away
+   */
+  getViewportSignal(rect) {
+    const distance = Math.abs(rect.top);
+    return Math.max(0, 1 - distance / (window.innerHeight * 2));
+  }
+
+  /**
+   * Throttle viewport re-scoring while the page scrolls
+   */
+  handleQueueScroll() {
+    if (this.viewportRescoreTimer) {
+      return;
+    }
+
+    this.viewportRescoreTimer = setTimeout(() => {
+      this.viewportRescoreTimer = null;
+      this.updateViewportSignals();
+    }, VIEWPORT_RESCORE_INTERVAL);
+  }
+
+  /**
+   * Recompute the viewport signal of every queued link from its current position
+   */
+  updateViewportSignals() {
+    try {
+      this.queue.toArray().forEach(entry => {
+        if (!entry.element || !entry.element.isConnected || entry.signals.viewport === undefined) {
+          return;
+        }
+
+        const viewport = this.getViewportSignal(entry.element.getBoundingClientRect());
+        if (viewport !== entry.signals.viewport) {
+          this.queue.setSignal(entry.url, 'viewport', viewport);
+        }
+      });
+    } catch (error) {
+      this.debugLog('Error updating viewport signals:', error);
+    }
+  }
+
+  /**
+   * Score a link by its on-screen area relative to the viewport
+   * @param {DOMRect} rect - Element position
+   * @returns {number}
+   */
+  getSizeSignal(rect) {
+    const viewportArea = window.innerWidth * window.innerHeight;
+    if (!viewportArea) {
+      return 0;
+    }
+
+    const ratio = (rect.width * rect.height) / viewportArea;
+    return Math.min(1, Math.sqrt(ratio) * 3);
+  }
+
+  /**
+   * Normalize an SSR hint priority to a signal value
+   * @param {string|number} priority - 'high' | 'normal' | 'low', or a number
+   *   where lower is more important (-500 is high, 0 is normal)
+   * @returns {number}
+   */
+  getHintSignal(priority) {
+    const named = { high: 1, normal: 0.5, low: 0.25 };
+
+    if (Object.prototype.hasOwnProperty.call(named, priority)) {
+      return named[priority];
+    }
+
+    const value = parseFloat(priority);
+    if (isNaN(value)) {
+      return named.normal;
+    }
+
+    return Math.min(1, Math.max(0, 0.5 - value / 1000));
+  }
+
+  /**
+   * Likelihood of navigating from the current page to a URL
+   * @param {string} url - Normalized URL
+   * @returns {number}
+   */
+  getHistorySignal(url) {
+    if (!this.navigationModel) {
+      return 0;
+    }
+
+    return this.navigationModel.probability(this.normalizeUrl(window.location.href), url);
+  }
+
+  /**
+   * Load the navigation model, record how this page was reached and queue
+   * the most likely next pages
+   */
+  setupLearning() {
+    this.navigationModel = new NavigationModel({
+      maxSources: this.config.learningMaxEntries,
+      halfLife: this.config.learningHalfLife
+    });
+    this.navigationModel.load();
+
+    const current = this.normalizeUrl(window.location.href);
+    let previous = null;
+
+    try {
+      previous = sessionStorage.getItem('ghostloader-last-page');
+    } catch (error) {
+      // sessionStorage unavailable
+    }
+
+    // Fall back to the referrer for pages opened in a new tab
+    if (!previous && document.referrer) {
+      const referrer = this.normalizeUrl(document.referrer);
+      if (referrer && new URL(referrer).origin === window.location.origin) {
+        previous = referrer;
+      }
+    }
+
+    this.recordNavigation(previous, current);
+    this.enqueuePredictions();
+  }
+
+  /**
+   * Record a real navigation in the model
+   * @param {string|null} from - Source URL
+   * @param {string} to - Destination URL
+   */
+  recordNavigation(from, to) {
+    if (!this.navigationModel) {
+      return;
+    }
+
+    if (from && from !== to) {
+      this.navigationModel.record(from, to);
+      this.verboseLog('Recorded navigation:', from, '->', to);
+    }
+
+    try {
+      sessionStorage.setItem('ghostloader-last-page', to);
+    } catch (error) {
+      // sessionStorage unavailable
+    }
+  }
+
+  /**
+   * Queue the most probable next pages, linked from this page or not
+   */
+  enqueuePredictions() {
+    const current = this.normalizeUrl(window.location.href);
+    const predictions = this.navigationModel.predict(current, this.config.learningPredictions);
+
+    predictions.forEach(({ url, probability }) => {
+      if (probability < this.config.learningThreshold || this.isTracked(url) ||
+        !this.shouldPreload(url) || this.shouldExclude(null, url)) {
+        return;
+      }
+
+      const options = this.resolveOptions(url);
+      this.queue.upsert(url, {
+        source: 'history',
+        options,
+        weight: options.priorityWeight,
+        signals: { history: probability }
+      });
+      this.verboseLog('Queued predicted page:', url, 'probability:', probability.toFixed(2));
+    });
+  }
+
+  /**
+   * Export the learned navigation model
+   * @returns {Object|null}
+   */
+  exportHistory() {
+    return this.navigationModel ? this.navigationModel.export() : null;
+  }
+
+  /**
+   * Replace the learned navigation model with exported data
+   * @param {Object} data - Data from exportHistory()
+   * @returns {boolean} Whether the data was imported
+   */
+  importHistory(data) {
+    if (!this.navigationModel) {
+      this.debugLog('Learning is disabled, history not imported');
+      return false;
+    }
+
+    try {
+      this.navigationModel.import(data);
+      return true;
+    } catch (error) {
+      this.debugLog('History import error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget all learned navigations
+   */
+  clearHistory() {
+    if (this.navigationModel) {
+      this.navigationModel.clear();
+    }
+    this.debugLog('Navigation history cleared');
+  }
+
+  /**
+   * Explain why a URL is ranked where it is in the queue
+   * @param {string} url - URL to inspect
+   * @returns {Object|null} Score, rank and per-signal contributions
+   */
+  explainPriority(url) {
+    return this.queue.explain(this.normalizeUrl(url));
+  }
+
+  /**
+   * Check if URL should be preloaded based on cache mode
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  shouldPreload(url) {
+    try {
+      const urlObj = new URL(url);
+      const currentOrigin = window.location.origin;
+
+      // Routes can opt out of preloading entirely
+      if (this.rules.options(url).preload === false) {
+        return false;
+      }
+
+      if (this.config.cacheMode === 'local') {
+        return urlObj.origin === currentOrigin;
+      }
+
+      // For external mode, allow all URLs (CORS will be handled during fetch)
+      return true;
+    } catch (error) {
+      this.log('Invalid URL:', url, error);
+      return false;
+    }
+  }
+
+  /**
+   * Normalize URL for consistent caching
+   * @param {string} url - URL to normalize
+   * @returns {string|null}
+   */
+  normalizeUrl(url) {
+    try {
+      const urlObj = new URL(url, window.location.href);
+      // Remove hash for caching purposes
+      urlObj.hash = '';
+      return urlObj.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Set up hover listeners for instant priority boost
+   */
+  setupHoverListeners() {
+    document.addEventListener('mouseenter', this.handleMouseEnter, true);
+    document.addEventListener('mouseleave', this.handleMouseLeave, true);
+
+    this.debugLog('Hover listeners enabled with', this.config.hoverDelay, 'ms delay');
+  }
+
+  /**
+   * Schedule a hover boost for a link the pointer entered
+   * @param {MouseEvent} event - mouseenter event
+   */
+  handleMouseEnter(event) {
+    if (event.target.matches(this.config.selector)) {
+      this.scheduleIntent(event.target, 'hover', this.config.hoverDelay);
+    }
+  }
+
+  /**
+   * Clean up hover timeouts on mouse leave
+   * @param {MouseEvent} event - mouseleave event
+   */
+  handleMouseLeave(event) {
+    if (event.target.matches(this.config.selector)) {
+      this.cancelIntent(event.target, 'hover');
+    }
+  }
+
+  /**
+   * Set up touch and pen listeners so the time between press and click is
+   * used to start the fetch
+   */
+  setupTouchListeners() {
+    if ('PointerEvent' in window) {
+      document.addEventListener('pointerdown', this.handlePress, { capture: true, passive: true });
+      document.addEventListener('pointercancel', this.handlePressCancel, { capture: true, passive: true });
+    } else {
+      document.addEventListener('touchstart', this.handlePress, { capture: true, passive: true });
+      document.addEventListener('touchcancel', this.handlePressCancel, { capture: true, passive: true });
+    }
+
+    this.debugLog('Touch listeners enabled with', this.config.touchDelay, 'ms delay');
+  }
+
+  /**
+   * Schedule a touch boost for a pressed link
+   * @param {PointerEvent|TouchEvent} event - pointerdown or touchstart event
+   */
+  handlePress(event) {
+    if (event.type === 'pointerdown' && !(event.isPrimary && event.button === 0)) {
+      return;
+    }
+
+    const link = this.findLink(event.target);
+    if (link) {
+      this.scheduleIntent(link, 'touch', this.config.touchDelay);
+    }
+  }
+
+  /**
+   * Drop the touch boost of a press the browser canceled
+   * @param {PointerEvent|TouchEvent} event - pointercancel or touchcancel event
+   */
+  handlePressCancel(event) {
+    const link = this.findLink(event.target);
+    if (link) {
+      this.cancelIntent(link, 'touch');
+    }
+  }
+
+  /**
+   * Set up focus listeners for keyboard navigation
+   */
+  setupFocusListeners() {
+    document.addEventListener('focusin', this.handleFocusIn);
+    document.addEventListener('focusout', this.handleFocusOut);
+
+    this.debugLog('Focus listeners enabled with', this.config.focusDelay, 'ms delay');
+  }
+
+  /**
+   * Schedule a focus boost for a focused link
+   * @param {FocusEvent} event - focusin event
+   */
+  handleFocusIn(event) {
+    const link = this.findLink(event.target);
+    if (link) {
+      this.scheduleIntent(link, 'focus', this.config.focusDelay);
+    }
+  }
+
+  /**
+   * Drop the focus boost of a link that lost focus
+   * @param {FocusEvent} event - focusout event
+   */
+  handleFocusOut(event) {
+    const link = this.findLink(event.target);
+    if (link) {
+      this.cancelIntent(link, 'focus');
+    }
+  }
+
+  /**
+   * Remove the hover, touch and focus listeners
+   */
+  removeIntentListeners() {
+    document.removeEventListener('mouseenter', this.handleMouseEnter, true);
+    document.removeEventListener('mouseleave', this.handleMouseLeave, true);
+    document.removeEventListener('pointerdown', this.handlePress, true);
+    document.removeEventListener('pointercancel', this.handlePressCancel, true);
+    document.removeEventListener('touchstart', this.handlePress, true);
+    document.removeEventListener('touchcancel', this.handlePressCancel, true);
+    document.removeEventListener('focusin', this.handleFocusIn);
+    document.removeEventListener('focusout', this.handleFocusOut);
+  }
+
+  /**
+   * URL to preload for a link, honouring data-ghostloader-href
+   * @param {HTMLElement} link - Link element
+   * @returns {string|null}
+   */
+  getLinkUrl(link) {
+    return this.normalizeUrl(readLinkOptions(link).href || link.href);
+  }
+
+  /**
+   * Resolve per-URL options: route rule overrides first, then per-link
+   * data attributes on top
+   * @param {string} url - Normalized URL to preload
+   * @param {HTMLElement|null} element - Link element, if any
+   * @returns {Object}
+   */
+  resolveOptions(url, element = null) {
+    return { ...this.rules.options(url), ...readLinkOptions(element) };
+  }
+
+  /**
+   * Effective preload trigger for a link
+   * @param {HTMLElement} link - Link element
+   * @returns {string} 'viewport' | 'hover' | 'click' | 'eager'
+   */
+  getLinkTrigger(link) {
+    const href = this.getLinkUrl(link);
+    return (href && this.resolveOptions(href, link).trigger) || 'viewport';
+  }
+
+  /**
+   * Show which route rule applies to a URL
+   * @param {string} url - URL to inspect
+   * @returns {Object|null} Matched rule, its index and the options it sets
+   */
+  explainRule(url) {
+    const href = this.normalizeUrl(url);
+    const matched = href && this.rules.match(href);
+
+    if (!matched) {
+      return null;
+    }
+
+    return {
+      url: href,
+      index: matched.index,
+      rule: matched.rule,
+      options: this.rules.options(href)
+    };
+  }
+
+  /**
+   * Find the link matching the selector that contains an event target
+   * @param {EventTarget} target - Event target
+   * @returns {HTMLElement|null}
+   */
+  findLink(target) {
+    return target && target.closest ? target.closest(this.config.selector) : null;
+  }
+
+  /**
+   * Boost a link's intent signal once the signal's delay has passed
+   * @param {HTMLElement} link - Link element
+   * @param {string} signal - Intent signal name
+   * @param {number} delay - Delay before boosting (ms)
+   */
+  scheduleIntent(link, signal, delay) {
+    const href = this.getLinkUrl(link);
+    if (!href || !this.shouldPreload(href) || this.shouldExclude(link, href)) {
+      return;
+    }
+
+    // Clear any existing timeout for this element and signal
+    const timeouts = this.intentTimeouts.get(link) || {};
+    clearTimeout(timeouts[signal]);
+
+    if (delay <= 0) {
+      delete timeouts[signal];
+      this.boostPriority(href, signal, link);
+      return;
+    }
+
+    timeouts[signal] = setTimeout(() => {
+      delete timeouts[signal];
+      this.boostPriority(href, signal, link);
+    }, delay);
+
+    this.intentTimeouts.set(link, timeouts);
+  }
+
+  /**
+   * Cancel a pending intent and drop its signal from the queue
+   * @param {HTMLElement} link - Link element
+   * @param {string} signal - Intent signal name
+   */
+  cancelIntent(link, signal) {
+    const timeouts = this.intentTimeouts.get(link);
+    if (timeouts) {
+      clearTimeout(timeouts[signal]);
+      delete timeouts[signal];
+
+      if (Object.keys(timeouts).length === 0) {
+        this.intentTimeouts.delete(link);
+      }
+    }
+
+    const href = this.getLinkUrl(link);
+    if (href) {
+      this.queue.setSignal(href, signal, 0);
+    }
+  }
+
+  /**
+   * Raise an intent signal for a URL, queueing it if needed
+   * @param {string} url - URL to boost
+   * @param {string} signal - Intent signal name
+   * @param {HTMLElement} element - Link element, if any
+   * @param {number} value - Signal strength (0-1)
+   */
+  boostPriority(url, signal = 'hover', element = null, value = 1) {
+    if (this.isTracked(url)) {
+      return;
+    }
+
+    // Click-triggered links only preload once they are pressed
+    const options = this.resolveOptions(url, element);
+    if (options.trigger === 'click' && signal !== 'touch') {
+      return;
+    }
+
+    if (this.queue.has(url)) {
+      this.queue.setSignal(url, signal, value);
+    } else {
+      const signals = { [signal]: value, history: this.getHistorySignal(url) };
+
+      if (options.priority !== undefined) {
+        signals.override = options.priority;
+      }
+
+      this.queue.upsert(url, {
+        element,
+        source: signal,
+        options,
+        weight: options.priorityWeight,
+        signals
+      });
+    }
+
+    this.log('Boosted priority for:', url);
+
+    if (PREEMPTING_SIGNALS.includes(signal)) {
+      if (this.coordinator && !this.coordinator.isLeader()) {
+        this.coordinator.forwardIntent(url, signal, value);
+      } else {
+        this.preemptFor(url);
+      }
+    }
+
+    // Trigger immediate processing if not at max concurrency; intent
+    // doesn't wait for idle time
+    this.processQueue(INTENT_SIGNALS.includes(signal));
+  }
+
+  /**
+   * Abort the lowest-priority active preload so a queued URL with a strong
+   * intent can take its slot. The aborted URL goes back in the queue.
+   * @param {string} url - Queued URL that needs a slot
+   */
+  preemptFor(url) {
+    if (!this.config.preemption || this.activeRequests < this.getEffectiveMaxConcurrent()) {
+      return;
+    }
+
+    const entry = this.queue.get(url);
+    if (!entry) {
+      return;
+    }
+
+    let lowest = null;
+
+    this.activePreloads.forEach(record => {
+      if (!record.reason && (!lowest || record.item.score < lowest.item.score)) {
+        lowest = record;
+      }
+    });
+
+    if (!lowest || lowest.item.score >= entry.score) {
+      return;
+    }
+
+    this.debugLog('Preempting', lowest.item.url, 'for', url);
+    this.stats.preempted++;
+    lowest.reason = 'preempted';
+    lowest.controller.abort();
+  }
+
+  /**
+   * Abort in-flight preloads matching a predicate
+   * @param {Function} predicate - (item) => boolean
+   * @param {string} reason - 'cancelled' or 'preempted'
+   * @returns {number} Number of preloads aborted
+   */
+  abortWhere(predicate, reason) {
+    let aborted = 0;
+
+    this.activePreloads.forEach(record => {
+      if (!record.reason && predicate(record.item)) {
+        record.reason = reason;
+        record.controller.abort();
+        aborted++;
+        this.verboseLog('Aborted preload:', record.item.url, '(' + reason + ')');
+      }
+    });
+
+    return aborted;
+  }
+
+  /**
+   * Cancel a URL's queued, scheduled or in-flight preload. The URL stays
+   * eligible and is preloaded again if it is re-queued.
+   * @param {string} url - URL to cancel
+   * @returns {boolean} Whether anything was cancelled
+   */
+  cancel(url) {
+    const href = this.normalizeUrl(url);
+    if (!href) {
+      return false;
+    }
+
+    let cancelled = this.queue.remove(href);
+
+    if (this.retryTimeouts.has(href)) {
+      clearTimeout(this.retryTimeouts.get(href));
+      this.retryTimeouts.delete(href);
+      cancelled = true;
+    }
+
+    if (this.abortWhere(item => item.url === href, 'cancelled') > 0) {
+      cancelled = true;
+    }
+
+    if (this.withdrawInjected(injected => injected === href) > 0) {
+      cancelled = true;
+    }
+
+    if (cancelled) {
+      this.debugLog('Cancelled preload:', href);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Cancel every queued, scheduled and in-flight preload
+   */
+  cancelAll() {
+    this.queue.clear();
+    this.retryTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+    this.retryTimeouts.clear();
+
+    const aborted = this.abortWhere(() => true, 'cancelled');
+    this.withdrawInjected(() => true);
+    this.debugLog('Cancelled all preloads,', aborted, 'in flight');
+  }
+
+  /**
+   * Remove the prefetch links and speculation rules injected for matching URLs
+   * @param {Function} predicate - (url) => boolean
+   * @returns {number} Number of injected elements removed
+   */
+  withdrawInjected(predicate) {
+    return Object.values(this.strategies).reduce((removed, strategy) => {
+      return typeof strategy.withdraw === 'function' ? removed + strategy.withdraw(predicate) : removed;
+    }, 0);
+  }
+
+  /**
+   * Check if a URL is being preloaded, waiting for a retry or already done
+   * @param {string} url - Normalized URL
+   * @returns {boolean}
+   */
+  isTracked(url) {
+    return this.processed.has(url) || this.processing.has(url) || this.retryTimeouts.has(url) ||
+      (!!this.coordinator && this.coordinator.isInFlightElsewhere(url));
+  }
+
+  /**
+   * Handle an intent forwarded by a follower tab
+   * @param {string} url - Intended URL
+   * @param {string} signal - Intent signal name
+   * @param {number} value - Signal strength (0-1)
+   */
+  handleForwardedIntent(url, signal, value) {
+    const href = this.normalizeUrl(url);
+
+    if (!href || !PREEMPTING_SIGNALS.includes(signal) ||
+        !this.shouldPreload(href) || this.shouldExclude(null, href)) {
+      return;
+    }
+
+    this.verboseLog('Received intent from another tab:', href, signal);
+    this.boostPriority(href, signal, null, value);
+  }
+
+  /**
+   * React to this tab gaining or losing the preloading lead
+   */
+  handleLeadershipChange() {
+    this.updateInvalidationSource();
+    this.processQueue();
+  }
+
+  /**
+   * Keep one invalidation connection per group of coordinated tabs, held by
+   * the leader; without coordination every tab connects
+   */
+  updateInvalidationSource() {
+    if (!this.invalidation) {
+      return;
+    }
+
+    if (!this.coordinator || this.coordinator.isLeader()) {
+      this.invalidation.start();
+    } else {
+      this.invalidation.stop();
+    }
+  }
+
+  /**
+   * Schedule queue processing for the next idle period
+   * @param {boolean} urgent - Run on the next task instead, for user intent
+   */
+  processQueue(urgent = false) {
+    if (this.queue.length > 0) {
+      this.scheduler.schedule(deadline => this.drainQueue(deadline), { urgent });
+    }
+  }
+
+  /**
+   * Dispatch queued items with concurrency control while the idle period
+   * lasts and nothing holds preloading back. Items with user intent go out
+   * regardless of idle time and the long-task backoff.
+   * @param {IdleDeadline|null} deadline - Idle deadline, if scheduled in idle time
+   */
+  async drainQueue(deadline) {
+    while (this.queue.length > 0 && this.activeRequests < this.getEffectiveMaxConcurrent()) {
+      const urgent = this.hasIntent(this.queue.peek());
+      const blockedBy = this.scheduler.getBlockReason({ urgent });
+      if (blockedBy) {
+        this.verboseLog('Preloading held back:', blockedBy);
+        break;
+      }
+
+      // Out of idle time: continue in the next idle period
+      if (!urgent && !this.scheduler.hasTimeLeft(deadline)) {
+        this.processQueue();
+        break;
+      }
+
+      const item = this.queue.shift();
+
+      if (!item || this.isTracked(item.url)) {
+        continue;
+      }
+
+      // Hold back items for origins that keep failing until the cooldown ends
+      const origin = new URL(item.url).origin;
+      if (this.circuitBreaker.isOpen(origin)) {
+        this.scheduleRetry(item, this.circuitBreaker.remaining(origin));
+        continue;
+      }
+
+      // Check data limits before processing
+      if (this.config.connectionAware && !this.withinDataLimits()) {
+        this.debugLog('Data limit reached, pausing queue processing');
+        break;
+      }
+
+      this.processing.add(item.url);
+      this.activeRequests++;
+
+      // Apply between-delay if configured
+      if (this.config.betweenDelay > 0 && this.activeRequests > 1) {
+        await this.delay(this.config.betweenDelay);
+      }
+
+      // Process item asynchronously
+      this.runPreload(item).then(result => {
+        this.processing.delete(item.url);
+        this.activeRequests--;
+        this.settlePreload(item, result);
+        this.finishStaleRefresh(item.url, result);
+
+        // Continue processing queue
+        this.processQueue();
+      });
+    }
+  }
+
+  /**
+   * Mark a finished preload as processed, or schedule a retry with
+   * exponential backoff when it failed in a retryable way
+   * @param {Object} item - Queue item
+   * @param {Object} result - Preload result
+   */
+  settlePreload(item, result) {
+    const { url } = item;
+    const origin = new URL(url).origin;
+
+    // Aborted preloads stay eligible; preempted ones wait for a free slot
+    if (result.status === 'cancelled') {
+      if (result.reason === 'preempted') {
+        this.requeue(item);
+      }
+      return;
+    }
+
+    if (result.status !== 'failed') {
+      this.circuitBreaker.recordSuccess(origin);
+      this.processed.add(url);
+      return;
+    }
+
+    const { failures } = this.stats;
+    const reason = result.reason || 'error';
+    failures.total++;
+    failures.byReason[reason] = (failures.byReason[reason] || 0) + 1;
+    failures.byOrigin[origin] = (failures.byOrigin[origin] || 0) + 1;
+
+    if (!result.retryable) {
+      this.processed.add(url);
+      return;
+    }
+
+    if (this.circuitBreaker.recordFailure(origin)) {
+      this.debugLog('Circuit breaker open for', origin, 'for', this.config.circuitBreakerCooldown, 'ms');
+    }
+
+    const attempts = (item.attempts || 0) + 1;
+    if (attempts > this.config.maxRetries) {
+      this.debugLog('Giving up after', attempts, 'attempts:', url);
+      this.processed.add(url);
+      return;
+    }
+
+    const delay = Math.max(
+      getBackoffDelay(attempts - 1, {
+        baseDelay: this.config.retryBaseDelay,
+        maxDelay: this.config.retryMaxDelay,
+        jitter: this.config.retryJitter
+      }),
+      result.retryAfter || 0
+    );
+
+    failures.retries++;
+    this.debugLog('Retrying', url, 'in', Math.round(delay), 'ms (attempt', attempts + ')');
+    this.scheduleRetry({ ...item, attempts }, delay);
+  }
+
+  /**
+   * Put an item back in the queue after a delay
+   * @param {Object} item - Queue item
+   * @param {number} delay - Delay in ms
+   */
+  scheduleRetry(item, delay) {
+    const timeoutId = setTimeout(() => {
+      this.retryTimeouts.delete(item.url);
+      this.requeue(item);
+      this.processQueue();
+    }, delay);
+
+    this.retryTimeouts.set(item.url, timeoutId);
+  }
+
+  /**
+   * Put an item back in the queue with its signals and attempt count
+   * @param {Object} item - Queue item
+   */
+  requeue(item) {
+    const { url, element, source, options, weight, signals, attempts } = item;
+    this.queue.upsert(url, { element, source, options, weight, attempts, signals: { ...signals } });
+  }
+
+  /**
+   * Get the strategy instance for a strategy name
+   * @param {string} name - Strategy name or 'auto'
+   * @returns {Object} Strategy instance
+   */
+  getStrategy(name) {
+    const resolved = resolveStrategyName(name);
+
+    if (name !== 'auto' && name !== resolved) {
+      this.debugLog('Strategy not supported, falling back:', name, '->', resolved);
+    }
+
+    if (!this.strategies[resolved]) {
+      this.strategies[resolved] = new STRATEGIES[resolved](this);
+    }
+
+    return this.strategies[resolved];
+  }
+
+  /**
+   * Preload a queue item with its strategy and record the outcome
+   * @param {Object} item - Queue item
+   * @returns {Promise<Object>} Preload result
+   */
+  async runPreload(item) {
+    const options = item.options || {};
+    const strategy = this.getStrategy(options.strategy || this.config.strategy);
+    const type = options.subresourceType;
+
+    if (type && !this.withinSubresourceBudget(type)) {
+      const skipped = { status: 'skipped', bytes: 0 };
+      this.recordPreload(strategy.name, item.url, skipped);
+      return skipped;
+    }
+
+    const controller = new AbortController();
+    const record = { controller, item, reason: null };
+    this.activePreloads.set(item.url, record);
+
+    if (this.coordinator) {
+      this.coordinator.announceInFlight(item.url, true);
+    }
+
+    try {
+      let result = await strategy.preload(item, { signal: controller.signal });
+
+      if (result.status === 'cancelled') {
+        result = { ...result, reason: record.reason || 'cancelled' };
+        this.stats.cancelled++;
+      }
+
+      this.recordPreload(strategy.name, item.url, result);
+
+      if (type) {
+        this.subresourceBytes[type] = (this.subresourceBytes[type] || 0) + (result.bytes || 0);
+      }
+      return result;
+    } catch (error) {
+      this.debugLog('Preload error:', strategy.name, item.url, error);
+      const failed = { status: 'failed', reason: 'error', bytes: 0 };
+      this.recordPreload(strategy.name, item.url, failed);
+      return failed;
+    } finally {
+      this.activePreloads.delete(item.url);
+
+      if (this.coordinator) {
+        this.coordinator.announceInFlight(item.url, false);
+      }
+    }
+  }
+
+  /**
+   * Record a strategy's completion and data usage in the stats
+   * @param {string} strategy - Strategy name
+   * @param {string} url - Preloaded URL
+   * @param {Object} result - Preload result ({ status, bytes })
+   */
+  recordPreload(strategy, url, result = {}) {
+    const status = result.status || 'completed';
+    const bytes = result.bytes || 0;
+
+    if (!this.stats.strategies[strategy]) {
+      this.stats.strategies[strategy] = {
+        completed: 0,
+        dispatched: 0,
+        cached: 0,
+        revalidated: 0,
+        skipped: 0,
+        failed: 0,
+        cancelled: 0,
+        bytes: 0
+      };
+    }
+
+    const strategyStats = this.stats.strategies[strategy];
+    strategyStats[status] = (strategyStats[status] || 0) + 1;
+    strategyStats.bytes += bytes;
+
+    this.dataUsed += bytes;
+    this.stats.bytesTransferred += bytes;
+
+    this.verboseLog('Preload', status + ':', url, 'via', strategy, bytes, 'bytes');
+  }
+
+  /**
+   * Record bytes a strategy measured after its preload was reported
+   * @param {string} strategy - Strategy name
+   * @param {string} url - Preloaded URL
+   * @param {number} bytes - Bytes used
+   */
+  recordBytes(strategy, url, bytes) {
+    if (this.stats.strategies[strategy]) {
+      this.stats.strategies[strategy].bytes += bytes;
+    }
+
+    this.dataUsed += bytes;
+    this.stats.bytesTransferred += bytes;
+
+    this.verboseLog('Measured', bytes, 'bytes for', url, 'via', strategy);
+  }
+
+  /**
+   * Fetch and cache a page
+   * @param {Object} item - Queue item with url and metadata
+   * @param {Object} context - Preload context
+   * @param {AbortSignal} context.signal - Aborts the fetch when the preload is cancelled
+   * @returns {Promise<{status: string, bytes: number}>}
+   */
+  async fetchAndCache(item, { signal } = {}) {
+    const { url } = item;
+    const options = item.options || {};
+    const startTime = Date.now();
+    let bytesRead = 0; // body bytes streamed so far, counted even when the read is cut short
+
+    try {
+      await this.ensurePartition();
+      const { partition } = this;
+
+      this.verboseLog('Fetching:', url);
+      this.stats.totalRequests++;
+
+      // Check if already cached and not expired
+      const cachedResponse = await this.getCachedResponse(url);
+      if (cachedResponse && !this.isCacheExpired(cachedResponse)) {
+        this.debugLog('Cache hit:', url);
+        this.stats.cacheHits++;
+        return { status: 'cached', bytes: 0 };
+      }
+
+      // Prepare fetch options with custom headers and timeout
+      const fetchOptions = {
+        method: 'GET',
+        mode: this.config.cacheMode === 'external' ? 'cors' : 'same-origin',
+        credentials: options.credentials || 'same-origin',
+        cache: 'default',
+        headers: {
+          ...this.config.fetchHeaders,
+          ...options.headers,
+          ...(cachedResponse ? this.getConditionalHeaders(cachedResponse) : {}),
+          'X-Ghostloader': 'preload',
+          'X-Ghostloader-Version': this.version
+        }
+      };
+
+      // Best effort: script-visible cookies the response sets show up here, HttpOnly ones never do
+      const cookiesBefore = document.cookie;
+
+      // Create timeout controller, also aborted when the preload is cancelled
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+      fetchOptions.signal = controller.signal;
+
+      if (signal) {
+        if (signal.aborted) {
+          clearTimeout(timeoutId);
+          return { status: 'cancelled', bytes: 0 };
+        }
+        signal.addEventListener('abort', () => {
+          clearTimeout(timeoutId);
+          controller.abort();
+        }, { once: true });
+      }
+
+      const fetchStart = timingNow();
+      const response = await fetch(url, fetchOptions);
+
+      // The expired copy is still current: refresh its lifetime only
+      if (response.status === 304 && cachedResponse) {
+        clearTimeout(timeoutId);
+        return await this.refreshCachedEntry(url, cachedResponse, response, options, fetchStart);
+      }
+
+      // Route size cap wins over the global one
+      const maxSize = options.maxSize || this.config.maxResponseSize;
+
+      // Skip early when the server declares an oversized body
+      const declaredLength = parseInt(response.headers.get('content-length'), 10);
+      if (response.ok && maxSize && declaredLength > maxSize) {
+        clearTimeout(timeoutId);
+        this.debugLog('Response exceeds maxSize, not caching:', url, declaredLength);
+        controller.abort();
+        return { status: 'skipped', reason: 'too-large', bytes: 0 };
+      }
+
+      // Never store pages that are personalised, uncacheable or not HTML
+      const policy = this.config.respectCacheHeaders
+        ? evaluateResponse(response, {
+          contentTypes: this.config.cacheableContentTypes.map(type => type.toLowerCase()),
+          varyAllowList: this.config.cacheVaryAllowList.map(name => name.toLowerCase()),
+          cookiesChanged: document.cookie !== cookiesBefore
+        })
+        : { cacheable: true, ttl: null, revalidate: false, stripHeaders: [], redirectedTo: response.redirected ? response.url : null };
+
+      // A route or link TTL of 0 means the page must not be kept; a no-cache
+      // page is kept with a TTL of 0 and revalidated before every use
+      const ttl = this.getEntryTtl(options.ttl, policy.ttl);
+      const revalidate = policy.revalidate && typeof options.ttl !== 'number';
+      const refusal = !policy.cacheable ? policy.reason : (ttl <= 0 && !revalidate ? 'stale' : null);
+
+      if (response.ok && refusal) {
+        clearTimeout(timeoutId);
+        controller.abort();
+        this.stats.uncacheable[refusal] = (this.stats.uncacheable[refusal] || 0) + 1;
+        this.debugLog('Response not cacheable (' + refusal + '):', url);
+        return { status: 'skipped', reason: refusal, bytes: getTransferSize(url, fetchStart) };
+      }
+
+      let result = {
+        status: 'failed',
+        reason: 'http',
+        httpStatus: response.status,
+        retryable: isRetryableStatus(response.status),
+        retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+        bytes: 0
+      };
+
+      if (response.ok) {
+        // Measure the body as it streams; the timeout keeps covering the download
+        let body;
+        let bodyBytes;
+
+        try {
+          ({ body, bytes: bodyBytes } = await readBody(response, maxSize, total => {
+            bytesRead = total;
+          }));
+        } catch (error) {
+          if (error.name !== 'ResponseTooLargeError') {
+            throw error;
+          }
+
+          clearTimeout(timeoutId);
+          controller.abort();
+          this.debugLog('Response exceeded maxSize mid-stream, not caching:', url, error.bytesRead);
+          return { status: 'skipped', reason: 'too-large', bytes: error.bytesRead };
+        }
+
+        clearTimeout(timeoutId);
+
+        // Prefer bytes on the wire (compressed, with headers) when Resource Timing knows them
+        const bytes = getTransferSize(url, fetchStart) || bodyBytes;
+        const headers = new Headers(response.headers);
+        // Fields named by private="..." or no-cache="..." are not stored
+        policy.stripHeaders.forEach(name => headers.delete(name));
+        const page = new Response(body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers
+        });
+
+        // Never store a page fetched for a partition that has since been replaced
+        if (partition !== this.partition) {
+          this.debugLog('Partition changed during fetch, discarding:', url);
+          return { status: 'cancelled', bytes };
+        }
+
+        // Store in cache with versioning
+        await this.storeInCache(url, page.clone(), {
+          timestamp: Date.now(),
+          version: this.version,
+          size: bodyBytes,
+          ttl,
+          revalidate,
+          redirectedTo: policy.redirectedTo
+        });
+
+        this.debugLog('Cached:', url);
+        this.stats.cacheMisses++;
+        result = { status: 'completed', bytes };
+
+        // Broadcast to other tabs
+        this.broadcastCacheUpdate(url, 'cached');
+
+        // Warm the page's own subresources in idle time
+        if (this.config.warmSubresources && !options.subresourceType &&
+          (response.headers.get('content-type') || '').includes('text/html')) {
+          this.scheduleSubresourceWarming(url, page);
+        }
+
+      } else {
+        clearTimeout(timeoutId);
+        this.debugLog('Fetch failed:', url, response.status);
+        if (response.body) {
+          response.body.cancel();
+        }
+      }
+
+      // Update performance stats
+      const responseTime = Date.now() - startTime;
+      this.stats.averageResponseTime =
+        (this.stats.averageResponseTime * (this.stats.totalRequests - 1) + responseTime) / this.stats.totalRequests;
+
+      return result;
+
+    } catch (error) {
+      if (error.name === 'AbortError' && signal && signal.aborted) {
+        this.debugLog('Request cancelled:', url);
+        return { status: 'cancelled', bytes: bytesRead };
+      }
+
+      if (error.name === 'AbortError') {
+        this.debugLog('Request timeout:', url);
+        return { status: 'failed', reason: 'timeout', retryable: true, bytes: bytesRead };
+      }
+
+      this.debugLog('Fetch error:', url, error.message);
+      return { status: 'failed', reason: 'network', retryable: true, bytes: bytesRead };
+    }
+  }
+
+  /**
+   * Lifetime of a cache entry: the route/link TTL if one is set, else the
+   * header-derived TTL, else cacheExpiration
+   * @param {number|undefined} routeTtl - Route or link TTL (ms)
+   * @param {number|null} headerTtl - TTL from Cache-Control or Expires (ms)
+   * @returns {number}
+   */
+  getEntryTtl(routeTtl, headerTtl) {
+    const ttl = [routeTtl, headerTtl].find(value => typeof value === 'number');
+    return ttl !== undefined ? ttl : this.config.cacheExpiration;
+  }
+
+  /**
+   * Check if a cached response carries an ETag or Last-Modified validator
+   * @param {Response} response - Cached response
+   * @returns {boolean}
+   */
+  hasValidators(response) {
+    return !!(response.headers.get('etag') || response.headers.get('last-modified'));
+  }
+
+  /**
+   * Check if a cached page must be confirmed with the server before it is
+   * used: pages sent with Cache-Control: no-cache are stored with a TTL of 0
+   * @param {Response} response - Cached response
+   * @returns {boolean}
+   */
+  mustRevalidate(response) {
+    return parseInt(response.headers.get('x-ghostloader-ttl'), 10) === 0 && this.hasValidators(response);
+  }
+
+  /**
+   * Revalidate a no-cache page right before it is shown
+   * @param {string} url - Page URL
+   * @returns {Promise<Response|null>} The confirmed or updated page, or null
+   */
+  async revalidateForUse(url) {
+    const result = await this.fetchAndCache({ url, options: this.resolveOptions(url, null) });
+    this.recordPreload('fetch', url, result);
+
+    if (result.status !== 'revalidated' && result.status !== 'completed') {
+      return null;
+    }
+    return this.getCachedResponse(url);
+  }
+
+  /**
+   * Conditional request headers for revalidating a cached response
+   * @param {Response} response - Cached response
+   * @returns {Object}
+   */
+  getConditionalHeaders(response) {
+    const headers = {};
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    }
+    if (lastModified) {
+      headers['If-Modified-Since'] = lastModified;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Re-store a cached page after a 304, with the headers the server sent
+   * along and a fresh lifetime
+   * @param {string} url - Page URL
+   * @param {Response} cachedResponse - Expired cached response
+   * @param {Response} notModified - 304 response
+   * @param {Object} options - Resolved link and route options
+   * @param {number} fetchStart - When the conditional request started (from timingNow())
+   * @returns {Promise<{status: string, bytes: number}>}
+   */
+  async refreshCachedEntry(url, cachedResponse, notModified, options, fetchStart = 0) {
+    const headers = new Headers();
+
+    cachedResponse.headers.forEach((value, name) => {
+      if (!name.startsWith('x-ghostloader-')) {
+        headers.set(name, value);
+      }
+    });
+
+    // A 304 carries the updated freshness and validator headers
+    headers.delete('age');
+    ['age', 'cache-control', 'date', 'etag', 'expires', 'last-modified'].forEach(name => {
+      const value = notModified.headers.get(name);
+      if (value) {
+        headers.set(name, value);
+      }
+    });
 
-      // Process item asynchronously
-      this.fetchAndCache(item).finally(() => {
-        this.processing.delete(item.url);
-        this.processed.add(item.url);
-        this.activeRequests--;
+    const directives = parseCacheControl(headers.get('cache-control'));
+    const revalidate = this.config.respectCacheHeaders && requiresRevalidation(directives) &&
+      typeof options.ttl !== 'number';
+    const headerTtl = this.config.respectCacheHeaders
+      ? (revalidate ? 0 : getFreshnessLifetime(headers, directives))
+      : null;
+    const ttl = this.getEntryTtl(options.ttl, headerTtl);
+    const bytes = getTransferSize(url, fetchStart);
+
+    if (ttl <= 0 && !revalidate) {
+      await this.deleteCacheEntry(url);
+      return { status: 'skipped', reason: 'stale', bytes };
+    }
 
-        // Continue processing queue
-        if (this.queue.length > 0) {
-          // Small delay before continuing to prevent overwhelming
-          setTimeout(() => this.processQueue(), 10);
-        }
-      });
+    const body = await cachedResponse.text();
+    await this.storeInCache(url, new Response(body, { status: 200, headers }), {
+      timestamp: Date.now(),
+      version: this.version,
+      size: parseInt(cachedResponse.headers.get('x-ghostloader-size'), 10) || body.length,
+      ttl,
+      revalidate,
+      redirectedTo: cachedResponse.headers.get('x-ghostloader-url')
+    });
+
+    this.stats.revalidations++;
+    this.debugLog('Revalidated:', url);
+    return { status: 'revalidated', bytes };
+  }
+
+  /**
+   * Queue a background refresh of a stale page after it was served. It goes
+   * through the queue like any preload, so concurrency, data limits, the
+   * circuit breaker and tab coordination apply.
+   * @param {string} url - Page URL
+   * @param {string} staleHtml - HTML that was served
+   */
+  refreshStale(url, staleHtml) {
+    if (this.processing.has(url) || this.retryTimeouts.has(url)) {
+      return;
     }
+
+    const options = { ...this.resolveOptions(url, null), strategy: 'fetch' };
+
+    this.processed.delete(url);
+    this.staleRefreshes.set(url, staleHtml);
+    this.queue.upsert(url, {
+      source: 'stale',
+      options,
+      weight: options.priorityWeight,
+      signals: { override: 1 }
+    });
+    this.processQueue();
   }
 
   /**
-   * Fetch and cache a page
-   * @param {Object} item - Queue item with url and metadata
+   * Report a finished stale refresh if the page's HTML changed
+   * @param {string} url - Page URL
+   * @param {Object} result - Preload result
    */
-  async fetchAndCache(item) {
-    const { url } = item;
-    const startTime = Date.now();
+  async finishStaleRefresh(url, result) {
+    const staleHtml = this.staleRefreshes.get(url);
 
-    try {
-      this.verboseLog('Fetching:', url);
-      this.stats.totalRequests++;
+    // Wait for the retry of a failed or preempted refresh
+    if (staleHtml === undefined || result.reason === 'preempted' || this.retryTimeouts.has(url)) {
+      return;
+    }
 
-      // Check if already cached and not expired
-      const cachedResponse = await this.getCachedResponse(url);
-      if (cachedResponse && !this.isCacheExpired(cachedResponse)) {
-        this.debugLog('Cache hit:', url);
-        this.stats.cacheHits++;
-        return;
-      }
+    this.staleRefreshes.delete(url);
 
-      // Prepare fetch options with custom headers and timeout
-      const fetchOptions = {
-        method: 'GET',
-        mode: this.config.cacheMode === 'external' ? 'cors' : 'same-origin',
-        credentials: 'same-origin',
-        cache: 'default',
-        headers: {
-          ...this.config.fetchHeaders,
-          'X-Ghostloader': 'preload',
-          'X-Ghostloader-Version': this.config.cacheVersion
-        }
-      };
+    if (result.status !== 'completed') {
+      return;
+    }
 
-      // Create timeout controller
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
-      fetchOptions.signal = controller.signal;
+    try {
+      const response = await this.getCachedResponse(url);
+      const html = response ? await response.text() : null;
 
-      const response = await fetch(url, fetchOptions);
-      clearTimeout(timeoutId);
+      if (html !== null && html !== staleHtml) {
+        this.debugLog('Stale page changed on refresh:', url);
+        this.emit('stale-update', { url, html });
 
-      if (response.ok) {
-        // Track data usage
-        const contentLength = response.headers.get('content-length');
-        if (contentLength) {
-          this.dataUsed += parseInt(contentLength, 10);
+        if (typeof this.config.onStaleUpdate === 'function') {
+          this.config.onStaleUpdate(url, html);
         }
+      }
+    } catch (error) {
+      this.debugLog('Stale refresh error:', url, error);
+    }
+  }
 
-        // Store in cache with versioning
-        await this.storeInCache(url, response.clone(), {
-          timestamp: Date.now(),
-          version: this.config.cacheVersion,
-          size: contentLength ? parseInt(contentLength, 10) : 0
-        });
-
-        this.debugLog('Cached:', url);
-        this.stats.cacheMisses++;
-        this.stats.bytesTransferred += contentLength ? parseInt(contentLength, 10) : 0;
+  /**
+   * Dispatch a `ghostloader:<name>` CustomEvent on the document
+   * @param {string} name - Event name
+   * @param {Object} detail - Event detail
+   * @param {boolean} cancelable - Whether listeners may call preventDefault()
+   * @returns {boolean} False if a listener canceled the event
+   */
+  emit(name, detail, cancelable = false) {
+    return document.dispatchEvent(new CustomEvent(`ghostloader:${name}`, { detail, cancelable }));
+  }
 
-        // Broadcast to other tabs
-        this.broadcastCacheUpdate(url, 'cached');
+  /**
+   * Listen for a Ghostloader event
+   * @param {string} name - Event name without the `ghostloader:` prefix (e.g. 'after-swap')
+   * @param {Function} handler - (event) => void; data is in event.detail
+   * @returns {Function} Removes the listener
+   */
+  on(name, handler) {
+    const type = `ghostloader:${name}`;
+    document.addEventListener(type, handler);
+    return () => document.removeEventListener(type, handler);
+  }
 
-      } else {
-        this.debugLog('Fetch failed:', url, response.status);
-      }
+  /**
+   * Parse a preloaded page in idle time and queue its subresources
+   * @param {string} pageUrl - Preloaded page URL
+   * @param {Response} response - Unread page response
+   */
+  scheduleSubresourceWarming(pageUrl, response) {
+    if (!STRATEGIES['link-prefetch'].isSupported()) {
+      this.debugLog('Link prefetch not supported, skipping subresource warming');
+      return;
+    }
 
-      // Update performance stats
-      const responseTime = Date.now() - startTime;
-      this.stats.averageResponseTime =
-        (this.stats.averageResponseTime * (this.stats.totalRequests - 1) + responseTime) / this.stats.totalRequests;
+    const idle = window.requestIdleCallback || (callback => setTimeout(callback, 1));
 
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        this.debugLog('Request timeout:', url);
-      } else {
-        this.debugLog('Fetch error:', url, error.message);
+    idle(async () => {
+      try {
+        const html = await response.text();
+        this.warmSubresources(pageUrl, html);
+      } catch (error) {
+        this.debugLog('Subresource warming failed:', pageUrl, error);
       }
-    }
+    });
   }
 
   /**
-   * Check if URL is in cache
-   * @param {string} url - URL to check
-   * @returns {boolean}
+   * Queue a page's subresources at low priority, skipping ones the current
+   * document already has
+   * @param {string} pageUrl - Preloaded page URL
+   * @param {string} html - Page HTML
    */
-  async isInCache(url) {
-    try {
-      if (this.cacheAPI) {
-        const response = await this.cacheAPI.match(url);
-        return !!response;
-      } else {
-        return this.cache.has(url);
+  warmSubresources(pageUrl, html) {
+    const types = { ...DEFAULT_SUBRESOURCE_TYPES, ...this.config.subresourceTypes };
+    const known = getKnownResources();
+    let queued = 0;
+
+    extractSubresources(html, pageUrl, types).forEach(({ url, type, as }) => {
+      if (known.has(url) || this.isTracked(url) ||
+        this.queue.has(url) || !this.withinSubresourceBudget(type)) {
+        return;
       }
-    } catch (error) {
-      this.log('Cache check error:', error);
-      return false;
+
+      this.queue.upsert(url, {
+        source: 'subresource',
+        options: { strategy: 'link-prefetch', as, subresourceType: type },
+        signals: { subresource: 1 }
+      });
+      queued++;
+    });
+
+    if (queued > 0) {
+      this.debugLog(`Queued ${queued} subresources of:`, pageUrl);
+      this.processQueue();
     }
   }
 
   /**
-   * Store response in cache
-   * @param {string} url - URL to cache
-   * @param {Response} response - Response to store
+   * Check if a subresource type still has budget left
+   * @param {string} type - Subresource type
+   * @returns {boolean}
    */
-  async storeInCache(url, response) {
-    try {
-      if (this.cacheAPI) {
-        await this.cacheAPI.put(url, response);
-      } else {
-        // Store minimal data in memory fallback
-        this.cache.set(url, {
-          url,
-          timestamp: Date.now(),
-          status: response.status
-        });
-      }
-    } catch (error) {
-      this.log('Cache store error:', error);
-    }
+  withinSubresourceBudget(type) {
+    const budgets = { ...DEFAULT_SUBRESOURCE_BUDGETS, ...this.config.subresourceBudgets };
+    return (this.subresourceBytes[type] || 0) < budgets[type];
   }
 
   /**
    * Check if URL should be excluded based on patterns
-   * @param {HTMLElement} element - Link element
+   * @param {HTMLElement|null} element - Link element, if any
    * @param {string} url - URL to check
    * @returns {boolean}
    */
   shouldExclude(element, url) {
     // Check selector exclusions
     for (const selector of this.config.excludeSelectors) {
-      if (element.matches(selector)) {
+      if (element && element.matches(selector)) {
         return true;
       }
     }
@@ -549,8 +2351,9 @@ class Ghostloader {
       return false;
     }
 
-    // Check session data limit
-    if (this.dataUsed >= this.config.dataLimit) {
+    // Check session data limit, shared by all coordinated tabs
+    const dataUsed = this.coordinator ? this.coordinator.getSharedDataUsed() : this.dataUsed;
+    if (dataUsed >= this.config.dataLimit) {
       return false;
     }
 
@@ -562,8 +2365,10 @@ class Ghostloader {
    * @returns {number}
    */
   getEffectiveMaxConcurrent() {
+    const max = this.scheduler.limitConcurrency(this.config.maxConcurrent);
+
     if (!this.config.bandwidthThrottle || !this.connectionInfo) {
-      return this.config.maxConcurrent;
+      return max;
     }
 
     // Throttle based on connection type
@@ -571,11 +2376,11 @@ class Ghostloader {
       'slow-2g': 1,
       '2g': 1,
       '3g': 2,
-      '4g': this.config.maxConcurrent,
-      '5g': this.config.maxConcurrent
+      '4g': max,
+      '5g': max
     };
 
-    return connectionLimits[this.connectionInfo.effectiveType] || this.config.maxConcurrent;
+    return Math.min(max, connectionLimits[this.connectionInfo.effectiveType] || max);
   }
 
   /**
@@ -590,12 +2395,36 @@ class Ghostloader {
           const { type, url, data } = event.data;
 
           if (type === 'cache-update') {
+            // Only pages stored where this tab can read them count as done
+            if (!this.storage.shared || event.data.partition !== this.partition) {
+              return;
+            }
             this.verboseLog('Received cache update from another tab:', url);
-            // Mark as processed to avoid duplicate fetching
+            // Mark as processed to avoid duplicate fetching, and index the
+            // page so instant transitions can serve it
             this.processed.add(url);
+            this.indexStoredEntry(url).catch(error => {
+              this.debugLog('Cache index update error:', url, error);
+            });
+          } else if (type === 'partition-purge') {
+            if (event.data.partition === this.partition) {
+              this.verboseLog('Received partition purge from another tab');
+              this.resetPartitionState();
+            }
           } else if (type === 'cache-invalidate') {
+            if (event.data.partition !== this.partition) {
+              return;
+            }
             this.verboseLog('Received cache invalidation from another tab:', url);
-            this.invalidateCache(url);
+            this.invalidateCache(url, false);
+          } else if (type === 'cache-clear') {
+            this.verboseLog('Received cache clear from another tab');
+            this.clearCache(false);
+          } else if (type === 'invalidation') {
+            this.verboseLog('Received server invalidation from another tab');
+            this.applyInvalidation(event.data.message, false);
+          } else if (this.coordinator) {
+            this.coordinator.handleMessage(event.data);
           }
         });
 
@@ -617,6 +2446,7 @@ class Ghostloader {
         type: 'cache-update',
         url,
         action,
+        partition: this.partition,
         timestamp: Date.now()
       });
     }
@@ -635,18 +2465,7 @@ class Ghostloader {
 
         if (url && !this.ssrHintsReceived.has(url)) {
           this.ssrHintsReceived.add(url);
-
-          // Add to queue with high priority if specified
-          if (priority === 'high') {
-            this.queue.unshift({
-              url: this.normalizeUrl(url),
-              element: null,
-              priority: -1000, // Very high priority
-              timestamp: Date.now(),
-              source: 'ssr-hint'
-            });
-          }
-
+          this.enqueueHint(url, this.getHintSignal(priority), 'ssr-hint');
           this.verboseLog('Processed SSR hint:', url, 'priority:', priority);
         }
       });
@@ -660,13 +2479,7 @@ class Ghostloader {
             data.ghostloaderHints.forEach(hint => {
               if (hint.url && !this.ssrHintsReceived.has(hint.url)) {
                 this.ssrHintsReceived.add(hint.url);
-                this.queue.unshift({
-                  url: this.normalizeUrl(hint.url),
-                  element: null,
-                  priority: hint.priority || 0,
-                  timestamp: Date.now(),
-                  source: 'ssr-hint-json'
-                });
+                this.enqueueHint(hint.url, this.getHintSignal(hint.priority || 0), 'ssr-hint-json');
               }
             });
           }
@@ -681,57 +2494,144 @@ class Ghostloader {
   }
 
   /**
-   * Set up instant page transitions
+   * Queue a URL received as a server-side hint
+   * @param {string} url - Hinted URL
+   * @param {number} hint - Hint signal value (0-1)
+   * @param {string} source - Hint source
    */
-  setupInstantTransitions() {
-    document.addEventListener('click', async (event) => {
-      if (event.target.matches(this.config.selector) && !event.defaultPrevented) {
-        const href = this.normalizeUrl(event.target.href);
+  enqueueHint(url, hint, source) {
+    const href = this.normalizeUrl(url);
+
+    if (!href || this.isTracked(href) || !this.shouldPreload(href)) {
+      return;
+    }
+
+    const options = this.resolveOptions(href);
+    this.queue.upsert(href, {
+      source,
+      options,
+      weight: options.priorityWeight,
+      signals: { hint, history: this.getHistorySignal(href) }
+    });
+  }
+
+  /**
+   * Queue the top-ranked pages of sitemaps, feeds or JSON manifests. They
+   * rank like normal-or-lower hints, so links on the page still go first.
+   * @param {string|Array<string>} sources - Source URLs
+   * @returns {Promise<number>} Number of pages queued
+   */
+  async warmup(sources = this.config.warmupSources) {
+    if (this.config.connectionAware && !this.withinDataLimits()) {
+      this.debugLog('Skipping warmup, outside data limits');
+      return 0;
+    }
 
-        if (href && await this.isInCache(href) && !this.shouldExclude(event.target, href)) {
-          const cachedResponse = await this.getCachedResponse(href);
+    const pending = [].concat(sources);
+    const entries = [];
+    let sitemapsLeft = this.config.warmupMaxSitemaps;
 
-          if (cachedResponse && !this.isCacheExpired(cachedResponse)) {
-            // Prevent default navigation
-            event.preventDefault();
+    while (pending.length > 0) {
+      const { entries: found, sitemaps } = await this.fetchWarmupSource(pending.shift());
+      const children = sitemaps.slice(0, Math.max(0, sitemapsLeft));
 
-            try {
-              // Get cached content
-              const html = await cachedResponse.text();
+      entries.push(...found);
+      pending.push(...children);
+      sitemapsLeft -= children.length;
+    }
 
-              // Create new document
-              const parser = new DOMParser();
-              const newDoc = parser.parseFromString(html, 'text/html');
+    const current = this.normalizeUrl(window.location.href);
+    let queued = 0;
 
-              // Replace current page content
-              document.title = newDoc.title;
-              document.head.innerHTML = newDoc.head.innerHTML;
-              document.body.innerHTML = newDoc.body.innerHTML;
+    for (const entry of rankWarmupEntries(entries)) {
+      if (queued >= this.config.warmupLimit) {
+        break;
+      }
 
-              // Update URL
-              history.pushState(null, newDoc.title, href);
+      const href = this.normalizeUrl(entry.url);
+      if (!href || href === current || this.queue.has(href) || this.isTracked(href) ||
+          !this.shouldPreload(href) || this.shouldExclude(null, href)) {
+        continue;
+      }
 
-              // Reinitialize Ghostloader for new page
-              setTimeout(() => {
-                this.buildQueue();
-                this.processQueue();
-              }, 100);
+      this.enqueueHint(href, entry.priority * 0.5, 'warmup');
+      queued++;
+    }
 
-              this.debugLog('Instant transition to:', href);
+    this.stats.warmupQueued += queued;
+    this.debugLog('Warmup queued', queued, 'of', entries.length, 'entries');
+    this.processQueue();
+    return queued;
+  }
 
-            } catch (error) {
-              this.debugLog('Instant transition failed:', error);
-              // Fallback to normal navigation
-              window.location.href = href;
-            }
-          }
-        }
+  /**
+   * Fetch and parse one warmup source. The download counts toward dataLimit.
+   * @param {string} url - Source URL
+   * @returns {Promise<{entries: Array<Object>, sitemaps: Array<string>}>}
+   */
+  async fetchWarmupSource(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+
+    try {
+      const response = await fetch(url, { credentials: 'same-origin', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
-    });
+
+      const text = await response.text();
+      this.dataUsed += getTransferSize(response.url) || text.length;
+
+      const type = response.headers.get('content-type') || '';
+      if (type.includes('json') || /^\s*[[{]/.test(text)) {
+        return { entries: parseJsonManifest(JSON.parse(text)), sitemaps: [] };
+      }
+      return parseXmlSource(text);
+    } catch (error) {
+      this.debugLog('Warmup source failed:', url, error);
+      return { entries: [], sitemaps: [] };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Set up instant page transitions
+   */
+  setupInstantTransitions() {
+    this.router = new Router(this);
+    this.router.start();
 
     this.debugLog('Instant transitions enabled');
   }
 
+  /**
+   * Follow-up work once the router has shown a cached page
+   * @param {string} href - Normalized URL of the shown page
+   * @param {string} html - Its cached HTML
+   * @param {string} cacheState - 'fresh' or 'stale'
+   */
+  handleTransition(href, html, cacheState) {
+    if (this.navigationModel) {
+      this.enqueuePredictions();
+      this.processQueue();
+    }
+
+    // Reinitialize Ghostloader for new page (live discovery picks up
+    // the swapped links through its mutation observer)
+    if (!this.discovery) {
+      setTimeout(() => {
+        this.buildQueue();
+        this.processQueue();
+      }, 100);
+    }
+
+    if (cacheState === 'stale') {
+      this.stats.staleServed++;
+      this.refreshStale(href, html);
+    }
+  }
+
   /**
    * Get cached response with metadata
    * @param {string} url - URL to check
@@ -739,19 +2639,17 @@ class Ghostloader {
    */
   async getCachedResponse(url) {
     try {
-      if (this.cacheAPI) {
-        return await this.cacheAPI.match(url);
-      } else if (this.cache.has(url)) {
-        const cached = this.cache.get(url);
-        // Return a mock response for memory cache
-        return {
-          ok: true,
-          status: 200,
-          text: () => Promise.resolve(cached.content || ''),
-          clone: () => this.getCachedResponse(url),
-          headers: new Map([['x-cached-timestamp', cached.timestamp.toString()]])
-        };
+      const response = await this.storage.get(url);
+
+      // Pages built against another deploy's assets are a miss
+      if (response && response.headers.get('x-ghostloader-version') !== this.version) {
+        this.debugLog('Cache version mismatch, dropping:', url);
+        this.stats.versionMisses++;
+        await this.deleteCacheEntry(url);
+        return null;
       }
+
+      return response;
     } catch (error) {
       this.debugLog('Cache retrieval error:', error);
     }
@@ -764,18 +2662,38 @@ class Ghostloader {
    * @returns {boolean}
    */
   isCacheExpired(response) {
+    return this.getCacheState(response) !== 'fresh';
+  }
+
+  /**
+   * Classify a cache entry by age
+   * @param {Response} response - Cached response
+   * @returns {string} 'fresh', 'stale' (expired but within staleWhileRevalidate) or 'expired'
+   */
+  getCacheState(response) {
     try {
-      const timestamp = response.headers.get('x-cached-timestamp') ||
-        response.headers.get('x-ghostloader-timestamp');
+      const timestamp = response.headers.get('x-ghostloader-timestamp');
 
       if (timestamp) {
+        // Per-entry TTL (e.g. from data-ghostloader-ttl) wins over the global expiration
+        const ttl = parseInt(response.headers.get('x-ghostloader-ttl'), 10);
+        const lifetime = isNaN(ttl) ? this.config.cacheExpiration : ttl;
         const age = Date.now() - parseInt(timestamp, 10);
-        return age > this.config.cacheExpiration;
+
+        // Pages stored with a TTL of 0 (no-cache) are never served unchecked
+        if (lifetime <= 0) {
+          return 'expired';
+        }
+
+        if (age <= lifetime) {
+          return 'fresh';
+        }
+        return age <= lifetime + this.config.staleWhileRevalidate ? 'stale' : 'expired';
       }
     } catch (error) {
       this.debugLog('Cache expiration check error:', error);
     }
-    return false;
+    return 'fresh';
   }
 
   /**
@@ -786,62 +2704,69 @@ class Ghostloader {
    */
   async storeInCache(url, response, metadata = {}) {
     try {
-      // Enforce cache size limits
-      await this.enforceCacheLimit();
+      const size = metadata.size || 0;
+      const ttl = typeof metadata.ttl === 'number' ? metadata.ttl : null;
+      const { cacheMaxBytes } = this.config;
 
-      if (this.cacheAPI) {
-        // Add custom headers for metadata
-        const modifiedResponse = new Response(response.body, {
-          status: response.status,
-          statusText: response.statusText,
-          headers: {
-            ...Object.fromEntries(response.headers.entries()),
-            'x-ghostloader-timestamp': metadata.timestamp || Date.now(),
-            'x-ghostloader-version': metadata.version || this.config.cacheVersion,
-            'x-ghostloader-size': metadata.size || 0
-          }
-        });
+      if (cacheMaxBytes > 0 && size > cacheMaxBytes) {
+        this.debugLog('Page larger than cacheMaxBytes, not caching:', url, size);
+        return;
+      }
 
-        await this.cacheAPI.put(url, modifiedResponse);
-      } else {
-        // Store in memory cache
-        const content = await response.text();
-        this.cache.set(url, {
-          url,
-          content,
-          timestamp: metadata.timestamp || Date.now(),
-          version: metadata.version || this.config.cacheVersion,
-          size: metadata.size || content.length
-        });
+      if (ttl !== null && ttl <= 0 && !metadata.revalidate) {
+        this.debugLog('Page expires immediately, not caching:', url);
+        return;
       }
+
+      // Make room for the new entry
+      await this.enforceCacheLimit(size, url);
+
+      const timestamp = metadata.timestamp || Date.now();
+
+      await this.storage.put(url, response, {
+        timestamp,
+        version: metadata.version || this.version,
+        size,
+        ttl,
+        redirectedTo: metadata.redirectedTo || null,
+        tags: this.getCacheTags(response)
+      });
+
+      this.cacheIndex.record(url, {
+        size,
+        timestamp,
+        ttl,
+        revalidatable: this.hasValidators(response)
+      });
     } catch (error) {
       this.debugLog('Cache store error:', error);
     }
   }
 
   /**
-   * Enforce cache size limits
+   * Evict expired pages, then the least valuable ones, until an incoming
+   * entry fits within cacheMaxSize and cacheMaxBytes
+   * @param {number} incoming - Size of the entry about to be stored
+   * @param {string|null} url - URL of that entry, if it may already be cached
    */
-  async enforceCacheLimit() {
+  async enforceCacheLimit(incoming = 0, url = null) {
     try {
-      if (this.cacheAPI) {
-        const keys = await this.cacheAPI.keys();
-        if (keys.length >= this.config.cacheMaxSize) {
-          // Remove oldest entries (simple FIFO for now)
-          const toRemove = keys.slice(0, keys.length - this.config.cacheMaxSize + 10);
-          await Promise.all(toRemove.map(request => this.cacheAPI.delete(request)));
-          this.debugLog('Cleaned cache, removed', toRemove.length, 'entries');
-        }
-      } else {
-        if (this.cache.size >= this.config.cacheMaxSize) {
-          // Remove oldest entries from memory cache
-          const entries = Array.from(this.cache.entries())
-            .sort((a, b) => a[1].timestamp - b[1].timestamp);
-
-          const toRemove = entries.slice(0, entries.length - this.config.cacheMaxSize + 10);
-          toRemove.forEach(([key]) => this.cache.delete(key));
-          this.debugLog('Cleaned memory cache, removed', toRemove.length, 'entries');
-        }
+      await this.purgeExpiredEntries();
+
+      const policy = EVICTION_POLICIES.includes(this.config.cacheEvictionPolicy)
+        ? this.config.cacheEvictionPolicy
+        : 'lru';
+
+      const victims = this.cacheIndex.victims({
+        maxEntries: this.config.cacheMaxSize,
+        maxBytes: this.config.cacheMaxBytes,
+        policy
+      }, incoming, url);
+
+      if (victims.length > 0) {
+        await Promise.all(victims.map(url => this.deleteCacheEntry(url)));
+        this.stats.evictions += victims.length;
+        this.debugLog('Evicted', victims.length, 'cache entries by', policy.toUpperCase());
       }
     } catch (error) {
       this.debugLog('Cache cleanup error:', error);
@@ -849,20 +2774,103 @@ class Ghostloader {
   }
 
   /**
-   * Invalidate cache entry
+   * Invalidate cache entry so the page can be preloaded again
    * @param {string} url - URL to invalidate
+   * @param {boolean} broadcast - Tell other tabs to drop it too
+   */
+  async invalidateCache(url, broadcast = true) {
+    const href = this.normalizeUrl(url) || url;
+
+    // A preload already in flight would store the outdated page again
+    this.abortWhere(item => item.url === href, 'cancelled');
+    this.withdrawInjected(injected => injected === href);
+    await this.deleteCacheEntry(href);
+    this.processed.delete(href);
+
+    if (broadcast && this.broadcastChannel) {
+      this.broadcastChannel.postMessage({
+        type: 'cache-invalidate',
+        url: href,
+        partition: this.partition,
+        timestamp: Date.now()
+      });
+    }
+
+    this.debugLog('Invalidated cache for:', href);
+  }
+
+  /**
+   * Apply a server invalidation: drop cached pages matching its URLs,
+   * prefixes or tags. Pages stored after the change are kept.
+   * @param {Object} message - Invalidation message
+   * @param {Array<string>} message.urls - Exact URLs
+   * @param {Array<string>} message.prefixes - URL prefixes
+   * @param {Array<string>} message.tags - Cache tags
+   * @param {number|null} message.timestamp - When the change happened
+   * @param {boolean} broadcast - Forward the message to other tabs
+   * @returns {Promise<number>} Number of pages invalidated
    */
-  async invalidateCache(url) {
+  async applyInvalidation({ urls = [], prefixes = [], tags = [], timestamp = null }, broadcast = true) {
+    const exact = new Set(urls.map(url => this.normalizeUrl(url)).filter(Boolean));
+    const starts = prefixes.map(prefix => this.normalizeUrl(prefix)).filter(Boolean);
+    const matchesUrl = url => exact.has(url) || starts.some(prefix => url.startsWith(prefix));
+    const matched = new Set();
+
     try {
-      if (this.cacheAPI) {
-        await this.cacheAPI.delete(url);
-      } else {
-        this.cache.delete(url);
-      }
-      this.debugLog('Invalidated cache for:', url);
+      const keys = await this.storage.keys();
+
+      await Promise.all(keys.map(async url => {
+        const byUrl = matchesUrl(url);
+        if (!byUrl && tags.length === 0) {
+          return;
+        }
+
+        const meta = (await this.storage.meta(url)) || {};
+        if (timestamp && meta.timestamp > timestamp) {
+          return;
+        }
+
+        const pageTags = meta.tags ? String(meta.tags).split(',') : [];
+        if (byUrl || tags.some(tag => pageTags.includes(tag))) {
+          matched.add(url);
+        }
+      }));
+
+      // Pages preloaded without being cached (e.g. by link prefetch) become eligible again
+      const cached = new Set(keys);
+      this.processed.forEach(url => {
+        if (!cached.has(url) && matchesUrl(url)) {
+          matched.add(url);
+        }
+      });
     } catch (error) {
-      this.debugLog('Cache invalidation error:', error);
+      this.debugLog('Invalidation error:', error);
+    }
+
+    await Promise.all(Array.from(matched).map(url => this.invalidateCache(url, false)));
+    this.stats.invalidated += matched.size;
+
+    if (broadcast && this.broadcastChannel) {
+      this.broadcastChannel.postMessage({
+        type: 'invalidation',
+        message: { urls, prefixes, tags, timestamp },
+        timestamp: Date.now()
+      });
     }
+
+    this.debugLog('Server invalidation dropped', matched.size, 'pages');
+    return matched.size;
+  }
+
+  /**
+   * Tags a response declares in the cacheTagHeader
+   * @param {Response} response - Page response
+   * @returns {string|null} Comma-separated tags
+   */
+  getCacheTags(response) {
+    const value = this.config.cacheTagHeader && response.headers.get(this.config.cacheTagHeader);
+    const tags = value ? value.split(/[\s,]+/).filter(Boolean) : [];
+    return tags.length ? tags.join(',') : null;
   }
 
   /**
@@ -907,7 +2915,6 @@ class Ghostloader {
    * @returns {Object} Enhanced stats
    */
   getStats() {
-    const cacheSize = this.cacheAPI ? 'Cache API' : this.cache.size;
     const sessionDuration = Date.now() - this.sessionStart;
 
     return {
@@ -916,12 +2923,23 @@ class Ghostloader {
       processing: this.processing.size,
       processed: this.processed.size,
       activeRequests: this.activeRequests,
+      trajectoryPredictions: this.trajectory ? this.trajectory.predictions : 0,
 
       // Cache information
-      cacheSize,
+      cacheStorage: this.storage.name,
+      cacheSize: this.cacheIndex.size,
       cacheMaxSize: this.config.cacheMaxSize,
+      cacheBytes: this.cacheIndex.totalBytes,
+      cacheMaxBytes: this.config.cacheMaxBytes,
+      cacheEvictionPolicy: this.config.cacheEvictionPolicy,
+      evictions: this.stats.evictions,
+      expiredPurged: this.stats.expiredPurged,
+      versionMisses: this.stats.versionMisses,
+      revalidations: this.stats.revalidations,
+      staleServed: this.stats.staleServed,
       cacheExpiration: this.config.cacheExpiration,
-      cacheVersion: this.config.cacheVersion,
+      cacheVersion: this.version,
+      cachePartitioned: this.partition !== null,
 
       // Performance metrics
       totalRequests: this.stats.totalRequests,
@@ -942,13 +2960,52 @@ class Ghostloader {
       averageResponseTime: this.stats.averageResponseTime.toFixed(2) + 'ms',
       bytesTransferred: this.stats.bytesTransferred,
 
+      // Scheduler state
+      paused: this.isPaused,
+      scheduler: this.scheduler.getState(),
+      coordination: this.coordinator ? this.coordinator.getState() : null,
+
+      // Server invalidations
+      invalidation: this.invalidation ? this.invalidation.getState() : null,
+      invalidated: this.stats.invalidated,
+      warmupQueued: this.stats.warmupQueued,
+
+      // Navigations answered by the service worker
+      serviceWorker: this.serviceWorker ? this.serviceWorker.getState() : null,
+      serviceWorkerHits: this.stats.serviceWorkerHits,
+
+      // Cancelled and preempted preloads
+      cancelled: this.stats.cancelled,
+      preempted: this.stats.preempted,
+
+      // Responses refused by the cache policy, by reason
+      uncacheable: { ...this.stats.uncacheable },
+
+      // Failures, retries and per-origin circuit breakers
+      failures: {
+        total: this.stats.failures.total,
+        retries: this.stats.failures.retries,
+        pendingRetries: this.retryTimeouts.size,
+        byReason: { ...this.stats.failures.byReason },
+        byOrigin: { ...this.stats.failures.byOrigin },
+        circuitBreakers: this.circuitBreaker.getState()
+      },
+
+      // Per-strategy outcomes and data usage
+      strategies: JSON.parse(JSON.stringify(this.stats.strategies)),
+      subresourceBytes: { ...this.subresourceBytes },
+
       // Feature status
       features: {
         instantHover: this.config.instantHover,
+        liveDiscovery: !!this.discovery,
+        trajectoryPrediction: !!this.trajectory,
         instantTransitions: this.config.instantTransitions,
         connectionAware: this.config.connectionAware,
         crossTabCache: this.config.crossTabCache && !!this.broadcastChannel,
+        coordination: !!this.coordinator,
         ssrHints: this.config.ssrHints,
+        learning: !!this.navigationModel,
         debug: this.config.debug,
         verboseLogging: this.config.verboseLogging
       },
@@ -958,31 +3015,37 @@ class Ghostloader {
         initialDelay: this.config.initialDelay,
         betweenDelay: this.config.betweenDelay,
         hoverDelay: this.config.hoverDelay,
+        touchDelay: this.config.touchDelay,
+        focusDelay: this.config.focusDelay,
         maxConcurrent: this.config.maxConcurrent,
         effectiveMaxConcurrent: this.getEffectiveMaxConcurrent(),
-        requestTimeout: this.config.requestTimeout
+        requestTimeout: this.config.requestTimeout,
+        strategy: this.config.strategy
       }
     };
   }
 
   /**
    * Clear all caches and reset state
+   * @param {boolean} broadcast - Tell other tabs to clear too
    */
-  async clearCache() {
+  async clearCache(broadcast = true) {
     try {
-      if (this.cacheAPI) {
-        const keys = await this.cacheAPI.keys();
-        await Promise.all(keys.map(request => this.cacheAPI.delete(request)));
-      }
+      const keys = await this.storage.keys();
+      await Promise.all(keys.map(url => this.storage.delete(url)));
 
-      this.cache.clear();
+      this.cancelAll();
+      this.cacheIndex.clear();
       this.processed.clear();
-      this.processing.clear();
-      this.queue = [];
+      this.circuitBreaker.reset();
       this.dataUsed = 0;
 
+      if (this.coordinator) {
+        this.coordinator.resetUsage();
+      }
+
       // Broadcast cache clear to other tabs
-      if (this.broadcastChannel) {
+      if (broadcast && this.broadcastChannel) {
         this.broadcastChannel.postMessage({
           type: 'cache-clear',
           timestamp: Date.now()
@@ -996,7 +3059,7 @@ class Ghostloader {
   }
 
   /**
-   * Pause preloading
+   * Pause preloading. In-flight preloads finish, nothing new is dispatched.
    */
   pause() {
     this.isPaused = true;
@@ -1017,12 +3080,65 @@ class Ghostloader {
    */
   destroy() {
     // Clear all timeouts
-    this.hoverTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
-    this.hoverTimeouts.clear();
+    this.intentTimeouts.forEach(timeouts => {
+      Object.values(timeouts).forEach(timeoutId => clearTimeout(timeoutId));
+    });
+    this.intentTimeouts.clear();
+
+    // Stop listening for hover, touch and focus intent
+    this.removeIntentListeners();
+
+    // Stop sampling pointer movement
+    if (this.trajectory) {
+      this.trajectory.stop();
+      this.trajectory = null;
+    }
+
+    // Stop watching visibility, battery and long tasks
+    this.scheduler.stop();
+
+    // Stop purging expired pages
+    clearInterval(this.cachePurgeTimer);
+
+    // Stop re-scoring viewport proximity
+    window.removeEventListener('scroll', this.handleQueueScroll);
+    clearTimeout(this.viewportRescoreTimer);
+    this.viewportRescoreTimer = null;
+
+    // Stop watching the DOM
+    if (this.discovery) {
+      this.discovery.stop();
+      this.discovery = null;
+    }
+
+    // Stop intercepting navigations
+    if (this.router) {
+      this.router.stop();
+      this.router = null;
+    }
+
+    // Stop following service worker updates
+    if (this.serviceWorker) {
+      this.serviceWorker.stop();
+      this.serviceWorker = null;
+    }
+
+    // Disconnect from the invalidation source
+    if (this.invalidation) {
+      this.invalidation.stop();
+      this.invalidation = null;
+    }
+
+    // Hand preloading over to another tab
+    if (this.coordinator) {
+      this.coordinator.stop();
+      this.coordinator = null;
+    }
 
     // Close broadcast channel
     if (this.broadcastChannel) {
       this.broadcastChannel.close();
+      this.broadcastChannel = null;
     }
 
     // Clear caches
@@ -0,0 +1,244 @@
+/**
+ * Ghostloader - Server-pushed cache invalidation
+ * Listens to an EventSource or WebSocket URL, or polls a JSON manifest, for
+ * messages naming pages that changed on the server:
+ *   { urls: [...], prefixes: [...], tags: [...], timestamp }
+ * The singular `url`, `prefix` and `tag` fields are accepted too. A manifest
+ * may hold one message, an array of them, or { invalidations: [...] }.
+ */
+
+import { getBackoffDelay } from './retry.js';
+
+// WebSocket reconnect backoff
+const RECONNECT_BACKOFF = { baseDelay: 1000, maxDelay: 60000, jitter: 0.3 };
+
+/**
+ * Transport for a source URL
+ * @param {string} url - Source URL
+ * @param {string} type - 'auto' | 'sse' | 'websocket' | 'poll'
+ * @returns {string} 'sse' | 'websocket' | 'poll'
+ */
+export function resolveSourceType(url, type = 'auto') {
+  if (type !== 'auto') {
+    return type;
+  }
+  return /^wss?:/i.test(url) ? 'websocket' : 'sse';
+}
+
+/**
+ * Normalize a payload into invalidation messages
+ * @param {*} payload - Parsed JSON payload
+ * @returns {Array<Object>} Messages as { urls, prefixes, tags, timestamp }
+ */
+export function parseInvalidations(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  if (Array.isArray(payload)) {
+    return payload.flatMap(parseInvalidations);
+  }
+
+  if (Array.isArray(payload.invalidations)) {
+    return parseInvalidations(payload.invalidations);
+  }
+
+  const list = (many, one) => [].concat(many || [], one || []).filter(value => typeof value === 'string');
+  const message = {
+    urls: list(payload.urls, payload.url),
+    prefixes: list(payload.prefixes, payload.prefix),
+    tags: list(payload.tags, payload.tag),
+    timestamp: typeof payload.timestamp === 'number' ? payload.timestamp : Date.parse(payload.timestamp) || null
+  };
+
+  return message.urls.length || message.prefixes.length || message.tags.length ? [message] : [];
+}
+
+export default class InvalidationSource {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.type = null;
+    this.connection = null; // EventSource or WebSocket
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.etag = null;
+    this.lastTimestamp = 0; // newest timestamped message applied
+    this.received = 0;
+    this.running = false;
+    this.generation = 0; // bumped on every start and stop so stale polls end
+  }
+
+  /**
+   * Connect to the configured source
+   */
+  start() {
+    const { invalidationSource, invalidationType } = this.loader.config;
+
+    if (this.running || !invalidationSource) {
+      return;
+    }
+
+    this.running = true;
+    this.generation++;
+    this.type = resolveSourceType(invalidationSource, invalidationType);
+
+    if (this.type === 'websocket') {
+      this.connectWebSocket();
+    } else if (this.type === 'poll') {
+      this.poll();
+    } else {
+      this.connectEventSource();
+    }
+
+    this.loader.debugLog('Invalidation source started:', this.type, invalidationSource);
+  }
+
+  /**
+   * Subscribe with EventSource, which reconnects on its own
+   */
+  connectEventSource() {
+    if (typeof EventSource === 'undefined') {
+      this.loader.debugLog('EventSource not supported, invalidation source disabled');
+      return;
+    }
+
+    try {
+      this.connection = new EventSource(this.loader.config.invalidationSource);
+      const onMessage = event => this.handleData(event.data);
+      this.connection.addEventListener('message', onMessage);
+      this.connection.addEventListener('invalidate', onMessage);
+    } catch (error) {
+      this.loader.debugLog('Invalidation EventSource failed:', error);
+    }
+  }
+
+  /**
+   * Subscribe with a WebSocket, reconnecting with backoff when it closes
+   */
+  connectWebSocket() {
+    if (typeof WebSocket === 'undefined') {
+      this.loader.debugLog('WebSocket not supported, invalidation source disabled');
+      return;
+    }
+
+    try {
+      const socket = new WebSocket(this.loader.config.invalidationSource);
+      this.connection = socket;
+
+      socket.addEventListener('open', () => {
+        this.reconnectAttempts = 0;
+      });
+      socket.addEventListener('message', event => this.handleData(event.data));
+      socket.addEventListener('close', () => {
+        if (this.running && this.connection === socket) {
+          this.scheduleReconnect();
+        }
+      });
+    } catch (error) {
+      this.loader.debugLog('Invalidation WebSocket failed:', error);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Reconnect the WebSocket after a backoff delay
+   */
+  scheduleReconnect() {
+    const delay = getBackoffDelay(this.reconnectAttempts++, RECONNECT_BACKOFF);
+
+    this.loader.verboseLog('Invalidation WebSocket closed, reconnecting in', Math.round(delay), 'ms');
+    this.reconnectTimer = setTimeout(() => this.connectWebSocket(), delay);
+  }
+
+  /**
+   * Fetch the manifest and schedule the next poll. Unchanged manifests are
+   * skipped with If-None-Match.
+   */
+  async poll() {
+    const { invalidationSource, invalidationPollInterval } = this.loader.config;
+    const { generation } = this;
+
+    try {
+      const headers = this.etag ? { 'If-None-Match': this.etag } : {};
+      const response = await fetch(invalidationSource, { headers, cache: 'no-store', credentials: 'same-origin' });
+
+      // Stopped (and maybe restarted) while the request was in flight
+      if (generation !== this.generation) {
+        return;
+      }
+
+      if (response.ok) {
+        this.etag = response.headers.get('etag');
+        this.handleData(await response.text());
+      } else if (response.status !== 304) {
+        this.loader.debugLog('Invalidation manifest request failed:', response.status);
+      }
+    } catch (error) {
+      this.loader.debugLog('Invalidation manifest error:', error);
+    }
+
+    if (this.running && generation === this.generation) {
+      this.pollTimer = setTimeout(() => this.poll(), invalidationPollInterval);
+    }
+  }
+
+  /**
+   * Parse a raw payload and apply its messages. Timestamped messages
+   * older than one already applied are skipped, so a polled manifest can
+   * keep listing past changes.
+   * @param {string} data - Raw message data
+   */
+  handleData(data) {
+    let payload;
+
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      this.loader.debugLog('Invalid invalidation message:', data);
+      return;
+    }
+
+    const since = this.lastTimestamp;
+
+    parseInvalidations(payload).forEach(message => {
+      if (message.timestamp && message.timestamp <= since) {
+        return;
+      }
+
+      this.lastTimestamp = Math.max(this.lastTimestamp, message.timestamp || 0);
+      this.received++;
+      this.loader.applyInvalidation(message);
+    });
+  }
+
+  /**
+   * Snapshot of the source state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      type: this.type,
+      connected: this.running,
+      received: this.received
+    };
+  }
+
+  /**
+   * Disconnect and stop polling
+   */
+  stop() {
+    this.running = false;
+    this.generation++;
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.reconnectTimer);
+
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+  }
+}
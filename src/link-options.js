@@ -0,0 +1,89 @@
+/**
+ * Ghostloader - Per-link declarative overrides
+ * Reads data-ghostloader-* attributes so authors can tune preloading from
+ * templates without touching the JS config.
+ */
+
+export const TRIGGERS = ['viewport', 'hover', 'click', 'eager'];
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const NAMED_PRIORITIES = { high: 1, normal: 0, low: -1 };
+
+/**
+ * Parse a duration such as "300000", "30s", "5m" or "1d" into milliseconds
+ * @param {string} value - Attribute value
+ * @returns {number|undefined}
+ */
+export function parseDuration(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(value || '');
+  if (!match) {
+    return undefined;
+  }
+
+  return parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+}
+
+/**
+ * Parse a priority override into a signal value between -1 and 1
+ * @param {string} value - "high" | "normal" | "low" or a number
+ * @returns {number|undefined}
+ */
+export function parsePriority(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(NAMED_PRIORITIES, value)) {
+    return NAMED_PRIORITIES[value];
+  }
+
+  const number = parseFloat(value);
+  return isNaN(number) ? undefined : Math.min(1, Math.max(-1, number));
+}
+
+/**
+ * Read the per-link overrides declared on an element
+ * @param {HTMLElement|null} element - Link element
+ * @returns {Object} Overrides ({ priority, ttl, strategy, trigger, href }), unset keys omitted
+ */
+export function readLinkOptions(element) {
+  const options = {};
+
+  if (!element || !element.getAttribute) {
+    return options;
+  }
+
+  const priority = parsePriority(element.getAttribute('data-ghostloader-priority'));
+  if (priority !== undefined) {
+    options.priority = priority;
+  }
+
+  const ttl = parseDuration(element.getAttribute('data-ghostloader-ttl'));
+  if (ttl !== undefined) {
+    options.ttl = ttl;
+  }
+
+  const strategy = element.getAttribute('data-ghostloader-strategy');
+  if (strategy) {
+    options.strategy = strategy.trim();
+  }
+
+  const trigger = (element.getAttribute('data-ghostloader-trigger') || '').trim();
+  if (TRIGGERS.includes(trigger)) {
+    options.trigger = trigger;
+  }
+
+  const href = element.getAttribute('data-ghostloader-href');
+  if (href) {
+    options.href = href.trim();
+  }
+
+  return options;
+}
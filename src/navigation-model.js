@@ -0,0 +1,181 @@
+/**
+ * Ghostloader - Navigation history model
+ * A first-order Markov chain of page transitions (source URL -> destination
+ * URL) persisted in localStorage. Transition weights decay exponentially with
+ * age and the model is capped in size so it stays small and current.
+ */
+
+const MODEL_VERSION = 1;
+
+export default class NavigationModel {
+  /**
+   * @param {Object} options - Model options
+   * @param {string} options.storageKey - localStorage key
+   * @param {number} options.maxSources - Maximum number of source pages kept
+   * @param {number} options.maxDestinations - Maximum destinations kept per source
+   * @param {number} options.halfLife - Time for a transition's weight to halve (ms)
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'ghostloader-navigation';
+    this.maxSources = options.maxSources || 200;
+    this.maxDestinations = options.maxDestinations || 20;
+    this.halfLife = options.halfLife || 14 * 24 * 60 * 60 * 1000;
+    this.sources = {};
+  }
+
+  /**
+   * Load the persisted model
+   */
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey));
+      this.sources = data && data.version === MODEL_VERSION ? data.sources : {};
+    } catch (error) {
+      this.sources = {};
+    }
+  }
+
+  /**
+   * Persist the model
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.export()));
+    } catch (error) {
+      // Storage full or unavailable, keep the in-memory model
+    }
+  }
+
+  /**
+   * Weight of a transition after decay
+   * @param {Object} transition - Stored transition ({ weight, updated })
+   * @param {number} now - Current time
+   * @returns {number}
+   */
+  decayed(transition, now = Date.now()) {
+    return transition.weight * Math.pow(0.5, (now - transition.updated) / this.halfLife);
+  }
+
+  /**
+   * Record a navigation from one page to another
+   * @param {string} from - Source URL
+   * @param {string} to - Destination URL
+   */
+  record(from, to) {
+    if (!from || !to || from === to) {
+      return;
+    }
+
+    const now = Date.now();
+    const source = this.sources[from] || { updated: now, destinations: {} };
+    const transition = source.destinations[to];
+
+    source.destinations[to] = {
+      weight: (transition ? this.decayed(transition, now) : 0) + 1,
+      updated: now
+    };
+    source.updated = now;
+    this.sources[from] = source;
+
+    this.prune(source, now);
+    this.save();
+  }
+
+  /**
+   * Enforce the size caps
+   * @param {Object} source - Source that was just updated
+   * @param {number} now - Current time
+   */
+  prune(source, now) {
+    const destinations = Object.keys(source.destinations);
+    if (destinations.length > this.maxDestinations) {
+      destinations
+        .sort((a, b) => this.decayed(source.destinations[a], now) - this.decayed(source.destinations[b], now))
+        .slice(0, destinations.length - this.maxDestinations)
+        .forEach(url => delete source.destinations[url]);
+    }
+
+    // Drop the least recently updated source pages
+    const sources = Object.keys(this.sources);
+    if (sources.length > this.maxSources) {
+      sources
+        .sort((a, b) => this.sources[a].updated - this.sources[b].updated)
+        .slice(0, sources.length - this.maxSources)
+        .forEach(url => delete this.sources[url]);
+    }
+  }
+
+  /**
+   * Probability of navigating from one page to another
+   * @param {string} from - Source URL
+   * @param {string} to - Destination URL
+   * @returns {number} 0..1
+   */
+  probability(from, to) {
+    const source = this.sources[from];
+    if (!source || !source.destinations[to]) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const total = Object.values(source.destinations)
+      .reduce((sum, transition) => sum + this.decayed(transition, now), 0);
+
+    return total > 0 ? this.decayed(source.destinations[to], now) / total : 0;
+  }
+
+  /**
+   * Most probable next pages from a source page
+   * @param {string} from - Source URL
+   * @param {number} limit - Maximum number of predictions
+   * @returns {Array<{url: string, probability: number}>}
+   */
+  predict(from, limit = 3) {
+    const source = this.sources[from];
+    if (!source) {
+      return [];
+    }
+
+    return Object.keys(source.destinations)
+      .map(url => ({ url, probability: this.probability(from, url) }))
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, limit);
+  }
+
+  /**
+   * Serializable copy of the model
+   * @returns {Object}
+   */
+  export() {
+    return {
+      version: MODEL_VERSION,
+      sources: JSON.parse(JSON.stringify(this.sources))
+    };
+  }
+
+  /**
+   * Replace the model with exported data
+   * @param {Object} data - Data from export()
+   */
+  import(data) {
+    if (!data || data.version !== MODEL_VERSION || typeof data.sources !== 'object') {
+      throw new Error('Unsupported navigation model data');
+    }
+
+    this.sources = JSON.parse(JSON.stringify(data.sources));
+    this.save();
+  }
+
+  /**
+   * Forget all recorded navigations
+   */
+  clear() {
+    this.sources = {};
+
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Storage unavailable
+    }
+  }
+}
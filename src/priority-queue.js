@@ -0,0 +1,257 @@
+/**
+ * Ghostloader - Score-based priority queue
+ * Each URL carries a set of normalized intent signals (0..1). Its score is the
+ * weighted sum of those signals and the highest score is dequeued first.
+ * The route weight scales every signal except the author override, which is
+ * clamped to -1..1 so a down-ranked link stays down-ranked on heavy routes.
+ */
+
+export const DEFAULT_WEIGHTS = {
+  override: 10, // author override from data-ghostloader-priority (-1..1)
+  viewport: 1, // position in (or near) the viewport, top of the page scores highest
+  touch: 6, // link is being pressed (touch, pen or mouse down)
+  hover: 5, // pointer is resting on the link
+  trajectory: 4, // pointer is heading toward the link
+  focus: 4, // link has keyboard focus
+  hint: 3, // server-side rendering hint priority
+  size: 0.5, // link size / visual prominence
+  history: 2, // learned navigation likelihood
+  subresource: 0.1 // warmed subresource of a preloaded page, ranks below page links
+};
+
+export default class PriorityQueue {
+  /**
+   * @param {Object} weights - Signal weights, merged over the defaults
+   */
+  constructor(weights = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.entries = new Map();
+    this.sorted = [];
+    this.dirty = false;
+  }
+
+  /**
+   * Number of queued URLs
+   * @returns {number}
+   */
+  get length() {
+    return this.entries.size;
+  }
+
+  /**
+   * Replace signal weights and re-score every entry
+   * @param {Object} weights - Signal weights
+   */
+  setWeights(weights) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.entries.forEach(entry => this.score(entry));
+    this.dirty = true;
+  }
+
+  /**
+   * Add a URL or merge new signals into an existing entry
+   * @param {string} url - Normalized URL
+   * @param {Object} data - Entry data ({ element, source, options, weight, signals })
+   * @returns {Object} Queue entry
+   */
+  upsert(url, data = {}) {
+    const { signals = {}, ...rest } = data;
+    let entry = this.entries.get(url);
+
+    if (!entry) {
+      entry = {
+        url,
+        element: null,
+        source: 'link',
+        options: {},
+        weight: 1, // route priority weight, multiplies the score
+        signals: {},
+        score: 0,
+        timestamp: Date.now()
+      };
+      this.entries.set(url, entry);
+    }
+
+    Object.keys(rest).forEach(key => {
+      // Keep the first known element/source unless a new one is provided
+      if (rest[key] !== undefined && rest[key] !== null) {
+        entry[key] = rest[key];
+      }
+    });
+
+    Object.assign(entry.signals, signals);
+    this.score(entry);
+    this.dirty = true;
+
+    return entry;
+  }
+
+  /**
+   * Update a single signal for a queued URL
+   * @param {string} url - Normalized URL
+   * @param {string} name - Signal name
+   * @param {number} value - Normalized signal value
+   * @returns {boolean} Whether the URL was queued
+   */
+  setSignal(url, name, value) {
+    const entry = this.entries.get(url);
+    if (!entry) {
+      return false;
+    }
+
+    entry.signals[name] = value;
+    this.score(entry);
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Compute the weighted score of an entry
+   * The route weight multiplies the intent signals; the override is added
+   * afterwards, clamped to -1..1
+   * @param {Object} entry - Queue entry
+   * @returns {number}
+   */
+  score(entry) {
+    const signals = Object.keys(entry.signals).reduce((total, name) => {
+      if (name === 'override') {
+        return total;
+      }
+      return total + (this.weights[name] || 0) * entry.signals[name];
+    }, 0) * entry.weight;
+
+    const override = Math.max(-1, Math.min(1, entry.signals.override || 0));
+    entry.score = signals + this.weights.override * override;
+    return entry.score;
+  }
+
+  /**
+   * Check if a URL is queued
+   * @param {string} url - Normalized URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  /**
+   * Get the entry for a URL
+   * @param {string} url - Normalized URL
+   * @returns {Object|undefined}
+   */
+  get(url) {
+    return this.entries.get(url);
+  }
+
+  /**
+   * Remove a URL from the queue
+   * @param {string} url - Normalized URL
+   * @returns {boolean}
+   */
+  remove(url) {
+    const removed = this.entries.delete(url);
+    if (removed) {
+      this.dirty = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every entry matching a predicate
+   * @param {Function} predicate - Receives the entry
+   * @returns {number} Number of removed entries
+   */
+  removeWhere(predicate) {
+    let removed = 0;
+
+    this.entries.forEach((entry, url) => {
+      if (predicate(entry)) {
+        this.entries.delete(url);
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      this.dirty = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Entries ordered by descending score (oldest first on ties)
+   * @returns {Array<Object>}
+   */
+  toArray() {
+    if (this.dirty) {
+      this.sorted = Array.from(this.entries.values())
+        .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+      this.dirty = false;
+    }
+    return this.sorted;
+  }
+
+  /**
+   * Get the highest-ranked entry without removing it
+   * @returns {Object|undefined}
+   */
+  peek() {
+    return this.toArray()[0];
+  }
+
+  /**
+   * Remove and return the highest-ranked entry
+   * @returns {Object|undefined}
+   */
+  shift() {
+    const entry = this.peek();
+    if (entry) {
+      this.entries.delete(entry.url);
+      this.sorted.shift();
+    }
+    return entry;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+    this.sorted = [];
+    this.dirty = false;
+  }
+
+  /**
+   * Explain how a URL's score and rank were derived
+   * @param {string} url - Normalized URL
+   * @returns {Object|null}
+   */
+  explain(url) {
+    const entry = this.entries.get(url);
+    if (!entry) {
+      return null;
+    }
+
+    const signals = {};
+    Object.keys(entry.signals).forEach(name => {
+      const weight = this.weights[name] || 0;
+      const value = name === 'override'
+        ? Math.max(-1, Math.min(1, entry.signals[name]))
+        : entry.signals[name];
+      signals[name] = {
+        value: entry.signals[name],
+        weight,
+        contribution: weight * value
+      };
+    });
+
+    return {
+      url,
+      score: entry.score,
+      weight: entry.weight,
+      rank: this.toArray().indexOf(entry) + 1,
+      queueLength: this.entries.size,
+      source: entry.source,
+      signals
+    };
+  }
+}
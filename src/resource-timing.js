@@ -0,0 +1,35 @@
+/**
+ * Ghostloader - Resource Timing helpers
+ */
+
+/**
+ * Current time on the Resource Timing clock
+ * @returns {number}
+ */
+export function timingNow() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : 0;
+}
+
+/**
+ * Bytes transferred for the most recent load of a URL, from Resource Timing.
+ * Falls back to the encoded body size when transfer size is unavailable
+ * (e.g. cross-origin responses without Timing-Allow-Origin report 0).
+ * @param {string} url - Absolute URL
+ * @param {number} since - Ignore loads that started before this time (from timingNow()),
+ *   so an earlier load of the same URL is not reported
+ * @returns {number}
+ */
+export function getTransferSize(url, since = 0) {
+  if (typeof performance === 'undefined' || !performance.getEntriesByName) {
+    return 0;
+  }
+
+  const entries = performance.getEntriesByName(url, 'resource').filter(entry => entry.startTime >= since);
+  const entry = entries[entries.length - 1];
+
+  if (!entry) {
+    return 0;
+  }
+
+  return entry.transferSize || entry.encodedBodySize || 0;
+}
@@ -0,0 +1,131 @@
+/**
+ * Ghostloader - Retry policy and per-origin circuit breaker
+ */
+
+/**
+ * Check if an HTTP status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff delay with jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay before the first retry (ms)
+ * @param {number} options.maxDelay - Upper bound for the delay (ms)
+ * @param {number} options.jitter - Fraction (0-1) of the delay that is randomized
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, { baseDelay, maxDelay, jitter }) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return delay * (1 - jitter * Math.random());
+}
+
+export default class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.threshold - Consecutive failures before the circuit opens
+   * @param {number} options.cooldown - Time the circuit stays open (ms)
+   */
+  constructor({ threshold, cooldown }) {
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.origins = new Map(); // origin -> { failures, openUntil }
+  }
+
+  /**
+   * Check if preloading is blocked for an origin. Once the cooldown has
+   * passed the circuit is half-open: the next request is let through and a
+   * single further failure opens it again.
+   * @param {string} origin - URL origin
+   * @returns {boolean}
+   */
+  isOpen(origin) {
+    const state = this.origins.get(origin);
+    return !!state && state.openUntil > Date.now();
+  }
+
+  /**
+   * Time left before an open circuit lets requests through
+   * @param {string} origin - URL origin
+   * @returns {number} ms
+   */
+  remaining(origin) {
+    const state = this.origins.get(origin);
+    return state ? Math.max(0, state.openUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Reset an origin after a successful request
+   * @param {string} origin - URL origin
+   */
+  recordSuccess(origin) {
+    this.origins.delete(origin);
+  }
+
+  /**
+   * Count a failure for an origin
+   * @param {string} origin - URL origin
+   * @returns {boolean} Whether the circuit opened
+   */
+  recordFailure(origin) {
+    const state = this.origins.get(origin) || { failures: 0, openUntil: 0 };
+    state.failures++;
+
+    const opened = state.failures >= this.threshold;
+    if (opened) {
+      state.openUntil = Date.now() + this.cooldown;
+    }
+
+    this.origins.set(origin, state);
+    return opened;
+  }
+
+  /**
+   * Snapshot of every origin with recorded failures
+   * @returns {Object}
+   */
+  getState() {
+    const state = {};
+
+    this.origins.forEach(({ failures, openUntil }, origin) => {
+      state[origin] = {
+        consecutiveFailures: failures,
+        open: openUntil > Date.now(),
+        openUntil: openUntil || null
+      };
+    });
+
+    return state;
+  }
+
+  /**
+   * Forget all recorded failures
+   */
+  reset() {
+    this.origins.clear();
+  }
+}
@@ -0,0 +1,534 @@
+/**
+ * Ghostloader - Instant transition router
+ * Swaps in cached pages on link clicks and back/forward navigations. The
+ * head is merged so unchanged stylesheets and scripts stay in place, new
+ * scripts run, and each history entry remembers its scroll position.
+ * Lifecycle events: ghostloader:before-navigate, before-swap, after-swap
+ * and navigate-error; all but after-swap are cancelable.
+ */
+
+// Script types that execute when re-inserted
+const EXECUTABLE_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+// How long a transition waits for new stylesheets before showing the page (ms)
+const STYLESHEET_TIMEOUT = 3000;
+
+// Delay before the scroll position is saved to the history entry (ms)
+const SCROLL_SAVE_DELAY = 150;
+
+// Classes set on <html> by the fallback transition
+const LEAVE_CLASS = 'ghostloader-leave';
+const ENTER_CLASS = 'ghostloader-enter';
+
+export default class Router {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.currentUrl = null; // URL of the rendered page, without hash
+    this.navigationId = 0; // latest transition; older ones stop when superseded
+    this.scrollTimer = null;
+    this.leavingId = null; // transition that set the leave class
+    this.previousScrollRestoration = null;
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  /**
+   * Intercept link clicks and history navigation
+   */
+  start() {
+    this.currentUrl = this.loader.normalizeUrl(window.location.href);
+
+    // A reloaded or restored entry keeps the position saved before it was left
+    const { state } = history;
+    const saved = state && state.ghostloader && state.scroll;
+
+    // Mark the entry the page was loaded with, so going back to it is
+    // handled, unless the page already keeps its own state there
+    if (!state) {
+      history.replaceState(this.createState(), '');
+    }
+
+    if (this.loader.config.scrollRestoration && 'scrollRestoration' in history) {
+      this.previousScrollRestoration = history.scrollRestoration;
+      history.scrollRestoration = 'manual';
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+      if (saved) {
+        this.restoreInitialScroll(saved);
+      }
+    }
+
+    document.addEventListener('click', this.handleClick);
+    window.addEventListener('popstate', this.handlePopState);
+    window.addEventListener('hashchange', this.handleHashChange);
+  }
+
+  /**
+   * Scroll a reloaded page back to its saved position once it has loaded,
+   * unless the browser or the user has scrolled it already
+   * @param {{x: number, y: number}} scroll - Saved position
+   */
+  restoreInitialScroll(scroll) {
+    const restore = () => {
+      if (window.scrollX === 0 && window.scrollY === 0) {
+        window.scrollTo(scroll.x, scroll.y);
+      }
+    };
+
+    if (document.readyState === 'complete') {
+      restore();
+    } else {
+      window.addEventListener('load', restore, { once: true });
+    }
+  }
+
+  /**
+   * History state for an entry the router owns, including its scroll position
+   * @param {Object|null} state - Existing router state to extend
+   * @returns {Object}
+   */
+  createState(state = null) {
+    return {
+      ...(state && typeof state === 'object' ? state : {}),
+      ghostloader: true,
+      scroll: { x: window.scrollX, y: window.scrollY }
+    };
+  }
+
+  /**
+   * Check if a click should become an instant transition
+   * @param {MouseEvent} event - Click event
+   * @param {HTMLAnchorElement} link - Clicked link
+   * @returns {boolean}
+   */
+  shouldIntercept(event, link) {
+    // New tabs, windows and downloads keep the browser's behaviour
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return false;
+    }
+
+    if ((link.target && link.target !== '_self') || link.hasAttribute('download')) {
+      return false;
+    }
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) {
+      return false;
+    }
+
+    // Jumps within the current page are left to the browser
+    return !(url.hash && this.loader.normalizeUrl(url.href) === this.currentUrl);
+  }
+
+  /**
+   * Start an instant transition for a link whose page is cached. The
+   * decision is made synchronously from the cache index, so the default
+   * navigation can still be prevented.
+   * @param {MouseEvent} event - Click event
+   */
+  handleClick(event) {
+    const { loader } = this;
+    const link = loader.findLink(event.target);
+
+    if (!link || !link.href || !this.shouldIntercept(event, link)) {
+      return;
+    }
+
+    const href = loader.getLinkUrl(link);
+
+    // A page preloaded under a different URL (data-ghostloader-href) would
+    // show under an address it did not come from; leave it to the browser
+    if (href !== loader.normalizeUrl(link.href)) {
+      return;
+    }
+
+    // Routes can opt out of instant transitions
+    if (!href || loader.resolveOptions(href, link).instantTransitions === false ||
+        loader.shouldExclude(link, href) || !loader.cacheIndex.has(href)) {
+      return;
+    }
+
+    // Canceling before-navigate leaves the click to the browser
+    if (!loader.emit('before-navigate', { url: link.href, href, link, trigger: 'click' }, true)) {
+      return;
+    }
+
+    event.preventDefault();
+    this.navigate(href, link.href);
+  }
+
+  /**
+   * Render the page of a back/forward navigation from the cache. Entries
+   * the page created itself are left to the page.
+   * @param {PopStateEvent} event - popstate event
+   */
+  handlePopState(event) {
+    const url = this.loader.normalizeUrl(window.location.href);
+
+    // Entries pushed by the page's own routing, and hash changes within the rendered page
+    if (!event.state || !event.state.ghostloader || url === this.currentUrl) {
+      return;
+    }
+
+    if (!this.loader.emit('before-navigate', { url: window.location.href, href: url, link: null, trigger: 'popstate' }, true)) {
+      window.location.reload();
+      return;
+    }
+
+    this.navigate(url, window.location.href, { isPop: true, restore: event.state });
+  }
+
+  /**
+   * Mark the entry a jump within the rendered page created, so returning
+   * to it from another transition renders this page again
+   */
+  handleHashChange() {
+    if (!history.state && this.loader.normalizeUrl(window.location.href) === this.currentUrl) {
+      history.replaceState(this.createState(), '');
+    }
+  }
+
+  /**
+   * Remember the scroll position of the current entry
+   */
+  handleScroll() {
+    clearTimeout(this.scrollTimer);
+    this.scrollTimer = setTimeout(() => this.saveScroll(), SCROLL_SAVE_DELAY);
+  }
+
+  /**
+   * Save the scroll position in the current entry if the router owns it.
+   * State the page created itself is never touched.
+   */
+  saveScroll() {
+    const { state } = history;
+
+    if (state && state.ghostloader) {
+      history.replaceState(this.createState(state), '');
+    }
+  }
+
+  /**
+   * Show a cached page. Falls back to a regular page load when the page
+   * is missing or expired.
+   * @param {string} href - Normalized URL of the cached page
+   * @param {string} url - URL to show in the address bar
+   * @param {Object} options - Navigation options
+   * @param {boolean} options.isPop - Back/forward navigation; the address bar already shows the URL
+   * @param {Object} options.restore - History state of the entry navigated to
+   */
+  async navigate(href, url, { isPop = false, restore = null } = {}) {
+    const { loader } = this;
+    const navigationId = ++this.navigationId;
+
+    try {
+      if (loader.config.partitionKey) {
+        await loader.ensurePartition();
+      }
+
+      let response = await loader.getCachedResponse(href);
+      let cacheState = response ? loader.getCacheState(response) : 'expired';
+
+      // Pages stored with Cache-Control: no-cache are confirmed with the server first
+      if (response && loader.mustRevalidate(response)) {
+        response = await loader.revalidateForUse(href);
+        cacheState = response ? 'fresh' : 'expired';
+      }
+
+      // Stale pages are served right away and refreshed in the background
+      if (cacheState === 'expired') {
+        this.fallback(url, isPop);
+        return;
+      }
+
+      const html = await response.text();
+      if (navigationId !== this.navigationId) {
+        return;
+      }
+
+      const newDoc = new DOMParser().parseFromString(html, 'text/html');
+      const previousUrl = this.currentUrl;
+      // Keep the link's hash unless the preload was redirected
+      const finalUrl = response.headers.get('x-ghostloader-url') || url;
+
+      // Listeners may edit the new document, or cancel to load the page normally
+      if (!loader.emit('before-swap', { url: finalUrl, href, newDocument: newDoc, cacheState }, true)) {
+        this.fallback(url, isPop);
+        return;
+      }
+
+      // Update the URL first so relative URLs in the new page resolve against it
+      if (!isPop) {
+        clearTimeout(this.scrollTimer);
+        this.saveScroll();
+        history.pushState({ ghostloader: true, scroll: { x: 0, y: 0 } }, '', finalUrl);
+      }
+      this.currentUrl = loader.normalizeUrl(finalUrl);
+
+      if (!await this.render(newDoc, navigationId, restore)) {
+        return;
+      }
+
+      loader.cacheIndex.touch(href);
+      loader.recordNavigation(previousUrl, this.currentUrl);
+      loader.handleTransition(href, html, cacheState);
+      loader.emit('after-swap', { url: finalUrl, href, previousUrl, cacheState, trigger: isPop ? 'popstate' : 'click' });
+      loader.debugLog('Instant transition to:', finalUrl);
+    } catch (error) {
+      loader.debugLog('Instant transition failed:', error);
+
+      // Canceling navigate-error skips the regular page load
+      if (loader.emit('navigate-error', { url, href, error }, true)) {
+        this.fallback(url, isPop);
+      }
+    }
+  }
+
+  /**
+   * Load a page the regular way
+   * @param {string} url - Page URL
+   * @param {boolean} isPop - Whether the address bar already shows the URL
+   */
+  fallback(url, isPop) {
+    if (isPop) {
+      window.location.reload();
+    } else {
+      window.location.href = url;
+    }
+  }
+
+  /**
+   * Swap the document for a parsed page
+   * @param {Document} newDoc - Parsed page
+   * @param {number} navigationId - Transition the render belongs to
+   * @param {Object|null} restore - History state whose scroll position to restore
+   * @returns {Promise<boolean>} False when a newer transition took over
+   */
+  async render(newDoc, navigationId, restore) {
+    const { added, removed } = this.mergeHead(newDoc.head);
+
+    // Show the new body once its stylesheets have loaded, to avoid a flash
+    await this.waitForStylesheets(added);
+    if (navigationId !== this.navigationId) {
+      return false;
+    }
+
+    const swapped = await this.animate(() => {
+      document.title = newDoc.title;
+      removed.forEach(element => element.remove());
+      this.swapBody(newDoc.body);
+      this.restoreScroll(restore);
+    }, navigationId);
+
+    if (!swapped) {
+      return false;
+    }
+
+    if (this.loader.config.executeScripts) {
+      added.filter(element => element.localName === 'script').forEach(script => this.executeScript(script));
+      Array.from(document.body.querySelectorAll('script')).forEach(script => this.executeScript(script));
+    }
+
+    return true;
+  }
+
+  /**
+   * Run a DOM swap inside a view transition when enabled. Without the View
+   * Transitions API, <html> gets the ghostloader-leave class for
+   * transitionDuration before the swap and ghostloader-enter after it.
+   * The swap is skipped if a newer transition started in the meantime.
+   * @param {Function} swap - Synchronous DOM update
+   * @param {number} navigationId - Transition the swap belongs to
+   * @returns {Promise<boolean>} False when a newer transition took over
+   */
+  async animate(swap, navigationId) {
+    const { viewTransitions, transitionDuration } = this.loader.config;
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const isCurrent = () => navigationId === this.navigationId;
+
+    if (!viewTransitions || reducedMotion) {
+      swap();
+      return true;
+    }
+
+    if (typeof document.startViewTransition === 'function') {
+      let swapped = false;
+
+      // The update callback runs asynchronously, after the old page is captured
+      await document.startViewTransition(() => {
+        if (isCurrent()) {
+          swap();
+          swapped = true;
+        }
+      }).updateCallbackDone;
+      return swapped;
+    }
+
+    const root = document.documentElement;
+    root.classList.add(LEAVE_CLASS);
+    this.leavingId = navigationId;
+    await this.loader.delay(transitionDuration);
+
+    if (!isCurrent()) {
+      // Leave the class to the newer transition if it set it again
+      if (this.leavingId === navigationId) {
+        root.classList.remove(LEAVE_CLASS);
+      }
+      return false;
+    }
+
+    swap();
+    root.classList.remove(LEAVE_CLASS);
+    root.classList.add(ENTER_CLASS);
+    setTimeout(() => root.classList.remove(ENTER_CLASS), transitionDuration);
+    return true;
+  }
+
+  /**
+   * Add the new page's head elements the current head lacks. Identical
+   * elements stay untouched, so their stylesheets and scripts are not
+   * reloaded. Elements marked data-ghostloader-permanent, which includes the
+   * prefetch links and speculation rules Ghostloader injects, are never removed.
+   * @param {HTMLHeadElement} newHead - Head of the new page
+   * @returns {{added: Array<Element>, removed: Array<Element>}} Added elements, and old ones to remove after the swap
+   */
+  mergeHead(newHead) {
+    const current = new Map();
+
+    Array.from(document.head.children).forEach(element => {
+      const key = element.outerHTML;
+      current.set(key, (current.get(key) || []).concat(element));
+    });
+
+    const added = [];
+    Array.from(newHead.children).forEach(element => {
+      if (element.localName === 'title') {
+        return;
+      }
+
+      const matches = current.get(element.outerHTML);
+      if (matches && matches.length > 0) {
+        matches.shift();
+        return;
+      }
+
+      const imported = document.importNode(element, true);
+      document.head.appendChild(imported);
+      added.push(imported);
+    });
+
+    const removed = [];
+    current.forEach(elements => elements.forEach(element => {
+      if (element.localName !== 'title' && !element.hasAttribute('data-ghostloader-permanent')) {
+        removed.push(element);
+      }
+    }));
+
+    return { added, removed };
+  }
+
+  /**
+   * Wait for newly added stylesheets, giving up after STYLESHEET_TIMEOUT
+   * @param {Array<Element>} elements - Added head elements
+   * @returns {Promise}
+   */
+  waitForStylesheets(elements) {
+    const pending = elements
+      .filter(element => element.localName === 'link' && element.rel === 'stylesheet')
+      .map(link => new Promise(resolve => {
+        link.addEventListener('load', resolve, { once: true });
+        link.addEventListener('error', resolve, { once: true });
+      }));
+
+    if (pending.length === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.race([Promise.all(pending), this.loader.delay(STYLESHEET_TIMEOUT)]);
+  }
+
+  /**
+   * Replace the body's attributes and content. The body element itself is
+   * kept, so listeners and observers attached to it survive.
+   * @param {HTMLBodyElement} newBody - Body of the new page
+   */
+  swapBody(newBody) {
+    const { body } = document;
+
+    Array.from(body.attributes).forEach(attribute => body.removeAttribute(attribute.name));
+    Array.from(newBody.attributes).forEach(attribute => body.setAttribute(attribute.name, attribute.value));
+
+    body.replaceChildren(...Array.from(newBody.childNodes).map(node => document.importNode(node, true)));
+  }
+
+  /**
+   * Run an inserted script by replacing it with a fresh copy. External
+   * scripts keep document order unless marked async. Scripts with
+   * data-ghostloader-eval="false" are skipped.
+   * @param {HTMLScriptElement} script - Inserted script
+   */
+  executeScript(script) {
+    const type = (script.getAttribute('type') || '').trim().toLowerCase();
+
+    if (!EXECUTABLE_TYPES.includes(type) || script.getAttribute('data-ghostloader-eval') === 'false') {
+      return;
+    }
+
+    const fresh = document.createElement('script');
+    Array.from(script.attributes).forEach(attribute => fresh.setAttribute(attribute.name, attribute.value));
+
+    if (script.src) {
+      fresh.async = script.hasAttribute('async');
+    } else {
+      fresh.textContent = script.textContent;
+    }
+
+    script.replaceWith(fresh);
+  }
+
+  /**
+   * Scroll to the saved position of a back/forward navigation, the target
+   * of the URL's hash, or the top of the page
+   * @param {Object|null} state - History state of a back/forward navigation
+   */
+  restoreScroll(state) {
+    if (!this.loader.config.scrollRestoration) {
+      return;
+    }
+
+    if (state && state.scroll) {
+      window.scrollTo(state.scroll.x, state.scroll.y);
+      return;
+    }
+
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const target = id && document.getElementById(id);
+
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }
+
+  /**
+   * Stop intercepting navigations
+   */
+  stop() {
+    clearTimeout(this.scrollTimer);
+    document.removeEventListener('click', this.handleClick);
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    window.removeEventListener('scroll', this.handleScroll);
+
+    if (this.previousScrollRestoration) {
+      history.scrollRestoration = this.previousScrollRestoration;
+    }
+  }
+}
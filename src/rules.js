@@ -0,0 +1,142 @@
+/**
+ * Ghostloader - Route rule engine
+ * Matches URLs against an ordered list of rules (glob, RegExp, URLPattern or
+ * function). The first matching rule wins and supplies per-route overrides.
+ */
+
+export const RULE_OPTIONS = [
+  'preload',
+  'ttl',
+  'priorityWeight',
+  'trigger',
+  'strategy',
+  'maxSize',
+  'headers',
+  'credentials',
+  'instantTransitions'
+];
+
+/**
+ * Convert a glob into a regular expression.
+ * `**` matches across path segments, `*` within a segment and `?` a single character.
+ * A trailing `/**` also matches the bare prefix, so `/checkout/**` covers `/checkout`.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '/' && glob.slice(i) === '/**') {
+      source += '(?:/.*)?';
+      break;
+    } else if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a predicate for a rule's `match` value
+ * @param {string|RegExp|URLPattern|Function} match - Matcher
+ * @returns {Function} (urlObj: URL) => boolean
+ */
+export function compileMatcher(match) {
+  if (typeof match === 'function') {
+    return urlObj => !!match(urlObj);
+  }
+
+  if (match instanceof RegExp) {
+    return urlObj => {
+      match.lastIndex = 0;
+      return match.test(urlObj.href);
+    };
+  }
+
+  if (typeof URLPattern !== 'undefined' && match instanceof URLPattern) {
+    return urlObj => match.test(urlObj.href);
+  }
+
+  if (typeof match === 'string') {
+    const regex = globToRegExp(match);
+
+    // Path globs ("/blog/**") only apply to same-origin URLs
+    if (match.startsWith('/')) {
+      return urlObj => urlObj.origin === window.location.origin && regex.test(urlObj.pathname);
+    }
+
+    return urlObj => regex.test(urlObj.href);
+  }
+
+  return () => false;
+}
+
+export default class RuleEngine {
+  /**
+   * @param {Array<Object>} rules - Rule definitions
+   */
+  constructor(rules = []) {
+    this.setRules(rules);
+  }
+
+  /**
+   * Replace the rule list
+   * @param {Array<Object>} rules - Rule definitions
+   */
+  setRules(rules = []) {
+    this.rules = rules.map(rule => ({ rule, test: compileMatcher(rule.match) }));
+  }
+
+  /**
+   * Find the first rule matching a URL
+   * @param {string} url - Absolute URL
+   * @returns {{rule: Object, index: number}|null}
+   */
+  match(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    for (let index = 0; index < this.rules.length; index++) {
+      if (this.rules[index].test(urlObj)) {
+        return { rule: this.rules[index].rule, index };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Overrides supplied by the first matching rule
+   * @param {string} url - Absolute URL
+   * @returns {Object} Only the options the rule sets
+   */
+  options(url) {
+    const matched = this.match(url);
+    const options = {};
+
+    if (matched) {
+      RULE_OPTIONS.forEach(key => {
+        if (matched.rule[key] !== undefined) {
+          options[key] = matched.rule[key];
+        }
+      });
+    }
+
+    return options;
+  }
+}
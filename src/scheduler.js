@@ -0,0 +1,236 @@
+/**
+ * Ghostloader - Preload scheduler
+ * Runs queue processing in idle periods and holds it back while the tab is
+ * hidden, the battery is low, long tasks are running or preloading is paused.
+ */
+
+export default class PreloadScheduler {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.scheduled = false;
+    this.urgentScheduled = false;
+    this.hidden = false;
+    this.battery = null;
+    this.longTaskObserver = null;
+    this.longTasks = 0;
+    this.backoffUntil = 0;
+    this.resumeTimeout = null;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleBatteryChange = this.handleBatteryChange.bind(this);
+  }
+
+  /**
+   * Start watching visibility, battery and long tasks
+   */
+  start() {
+    const { config } = this.loader;
+
+    if (config.pauseWhenHidden && typeof document !== 'undefined') {
+      this.hidden = document.visibilityState === 'hidden';
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    if (config.lowBatteryThreshold > 0 && typeof navigator !== 'undefined' && navigator.getBattery) {
+      navigator.getBattery().then(battery => {
+        this.battery = battery;
+        battery.addEventListener('levelchange', this.handleBatteryChange);
+        battery.addEventListener('chargingchange', this.handleBatteryChange);
+      }).catch(error => {
+        this.loader.debugLog('Battery status unavailable:', error);
+      });
+    }
+
+    if (config.longTaskBackoff > 0 && typeof PerformanceObserver !== 'undefined' &&
+      (PerformanceObserver.supportedEntryTypes || []).includes('longtask')) {
+      try {
+        this.longTaskObserver = new PerformanceObserver(list => this.handleLongTasks(list.getEntries()));
+        this.longTaskObserver.observe({ type: 'longtask', buffered: false });
+      } catch (error) {
+        this.loader.debugLog('Long task observer failed:', error);
+      }
+    }
+
+    this.loader.debugLog('Scheduler started, device memory:', this.getDeviceMemory() || 'unknown');
+  }
+
+  /**
+   * Run a callback in the next idle period (or after idleTimeout at the
+   * latest). Repeated calls before the callback runs are coalesced.
+   * Urgent calls run on the next task without waiting for idle time.
+   * @param {Function} callback - Receives the IdleDeadline, if any
+   * @param {Object} options - Scheduling options
+   * @param {boolean} options.urgent - Skip the idle wait
+   */
+  schedule(callback, { urgent = false } = {}) {
+    if (urgent) {
+      if (!this.urgentScheduled) {
+        this.urgentScheduled = true;
+        setTimeout(() => {
+          this.urgentScheduled = false;
+          callback(null);
+        }, 0);
+      }
+      return;
+    }
+
+    if (this.scheduled) {
+      return;
+    }
+    this.scheduled = true;
+
+    const { config } = this.loader;
+    const run = deadline => {
+      this.scheduled = false;
+      callback(deadline);
+    };
+
+    if (config.idleScheduling && typeof window !== 'undefined' && window.requestIdleCallback) {
+      window.requestIdleCallback(run, { timeout: config.idleTimeout });
+    } else {
+      setTimeout(() => run(null), 0);
+    }
+  }
+
+  /**
+   * Check if the current idle period still has time left
+   * @param {IdleDeadline|null} deadline - Deadline passed to the callback
+   * @returns {boolean}
+   */
+  hasTimeLeft(deadline) {
+    return !deadline || deadline.didTimeout || deadline.timeRemaining() > 1;
+  }
+
+  /**
+   * Reason preloading is currently held back
+   * @param {Object} options - Check options
+   * @param {boolean} options.urgent - Ignore the long-task backoff, for user intent
+   * @returns {string|null} 'paused' | 'follower' | 'hidden' | 'low-battery' | 'long-task' or null
+   */
+  getBlockReason({ urgent = false } = {}) {
+    const { config, coordinator } = this.loader;
+
+    if (this.loader.isPaused) {
+      return 'paused';
+    }
+
+    // Another tab preloads for this one
+    if (coordinator && !coordinator.isLeader()) {
+      return 'follower';
+    }
+
+    if (config.pauseWhenHidden && this.hidden) {
+      return 'hidden';
+    }
+
+    if (this.battery && !this.battery.charging && this.battery.level < config.lowBatteryThreshold) {
+      return 'low-battery';
+    }
+
+    if (!urgent && this.backoffUntil > Date.now()) {
+      return 'long-task';
+    }
+
+    return null;
+  }
+
+  /**
+   * Concurrency cap for the current device
+   * @param {number} max - Cap before device limits
+   * @returns {number}
+   */
+  limitConcurrency(max) {
+    const memory = this.getDeviceMemory();
+    const { lowMemoryThreshold } = this.loader.config;
+
+    if (memory && lowMemoryThreshold && memory <= lowMemoryThreshold) {
+      return Math.min(max, 1);
+    }
+
+    return max;
+  }
+
+  /**
+   * Approximate device RAM in GB
+   * @returns {number|null}
+   */
+  getDeviceMemory() {
+    return typeof navigator !== 'undefined' && navigator.deviceMemory ? navigator.deviceMemory : null;
+  }
+
+  /**
+   * Pause while hidden and resume when the tab is shown again
+   */
+  handleVisibilityChange() {
+    this.hidden = document.visibilityState === 'hidden';
+    this.loader.debugLog('Tab', this.hidden ? 'hidden, holding preloads' : 'visible, resuming preloads');
+
+    if (!this.hidden) {
+      this.loader.processQueue();
+    }
+  }
+
+  /**
+   * Resume once the battery is charging or above the threshold again
+   */
+  handleBatteryChange() {
+    if (!this.getBlockReason()) {
+      this.loader.processQueue();
+    }
+  }
+
+  /**
+   * Back off after long tasks so preloads don't compete with main-thread work
+   * @param {Array<PerformanceEntry>} entries - Long task entries
+   */
+  handleLongTasks(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const { longTaskBackoff } = this.loader.config;
+    this.longTasks += entries.length;
+    this.backoffUntil = Date.now() + longTaskBackoff;
+    this.loader.verboseLog('Long task detected, backing off for', longTaskBackoff, 'ms');
+
+    clearTimeout(this.resumeTimeout);
+    this.resumeTimeout = setTimeout(() => this.loader.processQueue(), longTaskBackoff);
+  }
+
+  /**
+   * Snapshot of the scheduler's inputs
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      blockedBy: this.getBlockReason(),
+      hidden: this.hidden,
+      deviceMemory: this.getDeviceMemory(),
+      batteryLevel: this.battery ? this.battery.level : null,
+      charging: this.battery ? this.battery.charging : null,
+      longTasks: this.longTasks
+    };
+  }
+
+  /**
+   * Remove listeners and observers
+   */
+  stop() {
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+    if (this.battery) {
+      this.battery.removeEventListener('levelchange', this.handleBatteryChange);
+      this.battery.removeEventListener('chargingchange', this.handleBatteryChange);
+      this.battery = null;
+    }
+
+    if (this.longTaskObserver) {
+      this.longTaskObserver.disconnect();
+      this.longTaskObserver = null;
+    }
+
+    clearTimeout(this.resumeTimeout);
+  }
+}
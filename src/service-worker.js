@@ -0,0 +1,123 @@
+/**
+ * Ghostloader - Service worker bridge
+ * Registers the companion service worker (dist/ghostloader-sw.js), tells it
+ * which cache holds the current version and partition, and counts the
+ * navigations it answered from that cache.
+ */
+
+// Message carrying the cache settings to the worker
+export const SW_CONFIG_MESSAGE = 'ghostloader:config';
+
+// Server-Timing entry the worker adds to navigations it served
+export const SW_HIT_TIMING = 'ghostloader-sw';
+
+export default class ServiceWorkerBridge {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.registration = null;
+    this.handleControllerChange = this.handleControllerChange.bind(this);
+  }
+
+  /**
+   * Check for service worker support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  }
+
+  /**
+   * Register the worker and send it the cache settings once active
+   * @param {string} scriptUrl - Worker script URL
+   * @param {Object} options - Registration options
+   * @param {string} options.scope - Registration scope
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  async register(scriptUrl, { scope } = {}) {
+    try {
+      this.registration = await navigator.serviceWorker.register(scriptUrl, scope ? { scope } : undefined);
+      navigator.serviceWorker.addEventListener('controllerchange', this.handleControllerChange);
+
+      await navigator.serviceWorker.ready;
+      this.sendConfig();
+
+      this.loader.debugLog('Service worker registered:', scriptUrl);
+      return this.registration;
+    } catch (error) {
+      this.loader.debugLog('Service worker registration failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send the current cache name, version and expiration to the worker.
+   * Only Cache API storage is readable from the worker; for other adapters
+   * the cache name is null and the worker passes navigations through.
+   * With a partitionKey the worker cannot tell which user a navigation
+   * belongs to, so it is told to pass navigations through as well.
+   */
+  sendConfig() {
+    const { loader } = this;
+    const worker = navigator.serviceWorker.controller ||
+      (this.registration && this.registration.active);
+
+    if (!worker) {
+      return;
+    }
+
+    worker.postMessage({
+      type: SW_CONFIG_MESSAGE,
+      cacheName: loader.storage.name === 'cache' ? loader.getCacheName(loader.partition) : null,
+      version: loader.version,
+      cacheExpiration: loader.config.cacheExpiration,
+      partitioned: !!loader.config.partitionKey
+    });
+  }
+
+  /**
+   * Count this page's navigation if the worker served it from the cache
+   */
+  recordNavigationHit() {
+    try {
+      const [navigation] = performance.getEntriesByType('navigation');
+      const served = navigation && (navigation.serverTiming || []).some(entry => entry.name === SW_HIT_TIMING);
+
+      if (served) {
+        const url = this.loader.normalizeUrl(window.location.href);
+        this.loader.stats.serviceWorkerHits++;
+        this.loader.cacheIndex.touch(url);
+        this.loader.verboseLog('Navigation served by the service worker:', url);
+      }
+    } catch (error) {
+      this.loader.debugLog('Navigation timing unavailable:', error);
+    }
+  }
+
+  /**
+   * Re-send the settings to a newly activated worker
+   */
+  handleControllerChange() {
+    this.sendConfig();
+  }
+
+  /**
+   * Snapshot of the bridge state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      registered: !!this.registration,
+      controlled: !!navigator.serviceWorker.controller
+    };
+  }
+
+  /**
+   * Stop listening for worker changes. The worker stays registered.
+   */
+  stop() {
+    navigator.serviceWorker.removeEventListener('controllerchange', this.handleControllerChange);
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Ghostloader - Cache API storage adapter
+ * Stores pages with the Cache API, one cache per namespace. Metadata travels
+ * as x-ghostloader-* headers on the stored response.
+ */
+
+import { metaFromHeaders, metaToHeaders, serializeHead } from './response.js';
+
+export default class CacheApiStorage {
+  constructor() {
+    this.name = 'cache';
+    this.persistent = true;
+    this.shared = true;
+    this.cache = null;
+  }
+
+  /**
+   * Check for Cache API support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * Open the cache following calls operate on
+   * @param {string} namespace - Cache name
+   */
+  async open(namespace) {
+    this.cache = await caches.open(namespace);
+  }
+
+  /**
+   * Read a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Response|null>}
+   */
+  async get(url) {
+    return (await this.cache.match(url)) || null;
+  }
+
+  /**
+   * Store a page
+   * @param {string} url - Page URL
+   * @param {Response} response - Unread response
+   * @param {Object} meta - Entry metadata
+   */
+  async put(url, response, meta = {}) {
+    const { status, statusText, headers } = serializeHead(response);
+
+    await this.cache.put(url, new Response(response.body, {
+      status,
+      statusText,
+      headers: { ...headers, ...metaToHeaders(meta) }
+    }));
+  }
+
+  /**
+   * Delete a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<boolean>}
+   */
+  async delete(url) {
+    return this.cache.delete(url);
+  }
+
+  /**
+   * URLs stored in the open cache
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    const requests = await this.cache.keys();
+    return requests.map(request => request.url);
+  }
+
+  /**
+   * Metadata of a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>}
+   */
+  async meta(url) {
+    const response = await this.cache.match(url);
+    return response ? metaFromHeaders(response.headers) : null;
+  }
+
+  /**
+   * Names of all caches of the origin
+   * @returns {Promise<Array<string>>}
+   */
+  async names() {
+    return caches.keys();
+  }
+
+  /**
+   * Delete a cache
+   * @param {string} namespace - Cache name
+   */
+  async drop(namespace) {
+    await caches.delete(namespace);
+  }
+}
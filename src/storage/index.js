@@ -0,0 +1,49 @@
+/**
+ * Ghostloader - Storage adapters
+ * Every adapter implements the same interface:
+ *   static isSupported() -> boolean
+ *   name, persistent (survives reloads), shared (readable from other tabs)
+ *   open(namespace) -> Promise          select the namespace (cache name)
+ *   get(url) -> Promise<Response|null>  metadata exposed as x-ghostloader-* headers
+ *   put(url, response, meta) -> Promise
+ *   delete(url) -> Promise<boolean>
+ *   keys() -> Promise<Array<string>>
+ *   meta(url) -> Promise<Object|null>   { timestamp, version, size, ttl, redirectedTo, tags }
+ *   names() -> Promise<Array<string>>   namespaces holding entries
+ *   drop(namespace) -> Promise
+ */
+
+import MemoryStorage from './memory.js';
+import CacheApiStorage from './cache-api.js';
+import IndexedDBStorage from './indexeddb.js';
+import SessionStorage from './session.js';
+
+export const STORAGE_ADAPTERS = {
+  memory: MemoryStorage,
+  cache: CacheApiStorage,
+  indexeddb: IndexedDBStorage,
+  session: SessionStorage
+};
+
+// Preference order for the 'auto' storage
+const AUTO_ORDER = ['cache', 'indexeddb', 'memory'];
+
+/**
+ * Create the storage adapter for a `storage` option
+ * @param {string|Object} storage - Adapter name, 'auto', or a custom adapter instance
+ * @returns {Object} Adapter instance (falls back to memory when unsupported)
+ */
+export function createStorage(storage = 'auto') {
+  if (storage && typeof storage === 'object') {
+    return storage;
+  }
+
+  const candidates = storage === 'auto' ? AUTO_ORDER : [storage];
+  const name = candidates.find(candidate =>
+    STORAGE_ADAPTERS[candidate] && STORAGE_ADAPTERS[candidate].isSupported()
+  );
+
+  return new STORAGE_ADAPTERS[name || 'memory']();
+}
+
+export { MemoryStorage };
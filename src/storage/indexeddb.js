@@ -0,0 +1,139 @@
+/**
+ * Ghostloader - IndexedDB storage adapter
+ * Stores each page as one record holding its body, status, headers and
+ * structured metadata, keyed by [namespace, url].
+ */
+
+import { buildResponse, serializeHead } from './response.js';
+
+const DB_NAME = 'ghostloader';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export default class IndexedDBStorage {
+  constructor() {
+    this.name = 'indexeddb';
+    this.persistent = true;
+    this.shared = true;
+    this.db = null;
+    this.namespace = null;
+  }
+
+  /**
+   * Check for IndexedDB support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database and select the namespace following calls operate on
+   * @param {string} namespace - Namespace (cache name)
+   */
+  async open(namespace) {
+    this.namespace = namespace;
+
+    if (!this.db) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: ['namespace', 'url'] });
+        store.createIndex('namespace', 'namespace');
+      };
+      this.db = await promisify(request);
+    }
+  }
+
+  /**
+   * Object store in a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {IDBObjectStore}
+   */
+  store(mode) {
+    return this.db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  /**
+   * Read a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Response|null>}
+   */
+  async get(url) {
+    const record = await promisify(this.store('readonly').get([this.namespace, url]));
+    return record ? buildResponse(record) : null;
+  }
+
+  /**
+   * Store a page
+   * @param {string} url - Page URL
+   * @param {Response} response - Unread response
+   * @param {Object} meta - Entry metadata
+   */
+  async put(url, response, meta = {}) {
+    // Read the body first: transactions close once they are left idle
+    const body = await response.arrayBuffer();
+    const record = { namespace: this.namespace, url, ...serializeHead(response), body, meta: { ...meta } };
+
+    await promisify(this.store('readwrite').put(record));
+  }
+
+  /**
+   * Delete a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<boolean>}
+   */
+  async delete(url) {
+    await promisify(this.store('readwrite').delete([this.namespace, url]));
+    return true;
+  }
+
+  /**
+   * URLs stored in the current namespace
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    const keys = await promisify(this.store('readonly').index('namespace').getAllKeys(this.namespace));
+    return keys.map(([, url]) => url);
+  }
+
+  /**
+   * Metadata of a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>}
+   */
+  async meta(url) {
+    const record = await promisify(this.store('readonly').get([this.namespace, url]));
+    return record ? record.meta : null;
+  }
+
+  /**
+   * Namespaces holding entries
+   * @returns {Promise<Array<string>>}
+   */
+  async names() {
+    const keys = await promisify(this.store('readonly').getAllKeys());
+    return Array.from(new Set(keys.map(([namespace]) => namespace)));
+  }
+
+  /**
+   * Delete a namespace and its entries
+   * @param {string} namespace - Namespace (cache name)
+   */
+  async drop(namespace) {
+    const keys = await promisify(this.store('readonly').index('namespace').getAllKeys(namespace));
+    const store = this.store('readwrite');
+    await Promise.all(keys.map(key => promisify(store.delete(key))));
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Ghostloader - Memory storage adapter
+ * Keeps pages in a Map for the lifetime of the document. Always available.
+ */
+
+import { buildResponse, serializeHead } from './response.js';
+
+export default class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false; // entries are gone after a reload
+    this.shared = false; // other tabs can't read the entries
+    this.namespaces = new Map(); // namespace -> Map(url -> record)
+    this.namespace = null;
+  }
+
+  /**
+   * Always available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return true;
+  }
+
+  /**
+   * Select the namespace following calls operate on
+   * @param {string} namespace - Namespace (cache name)
+   */
+  async open(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Entries of the current namespace
+   * @returns {Map}
+   */
+  get entries() {
+    if (!this.namespaces.has(this.namespace)) {
+      this.namespaces.set(this.namespace, new Map());
+    }
+    return this.namespaces.get(this.namespace);
+  }
+
+  /**
+   * Read a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Response|null>}
+   */
+  async get(url) {
+    const record = this.entries.get(url);
+    return record ? buildResponse(record) : null;
+  }
+
+  /**
+   * Store a page
+   * @param {string} url - Page URL
+   * @param {Response} response - Unread response
+   * @param {Object} meta - Entry metadata
+   */
+  async put(url, response, meta = {}) {
+    const body = await response.arrayBuffer();
+    this.entries.set(url, { ...serializeHead(response), body, meta: { ...meta } });
+  }
+
+  /**
+   * Delete a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<boolean>}
+   */
+  async delete(url) {
+    return this.entries.delete(url);
+  }
+
+  /**
+   * URLs stored in the current namespace
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Metadata of a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>}
+   */
+  async meta(url) {
+    const record = this.entries.get(url);
+    return record ? { ...record.meta } : null;
+  }
+
+  /**
+   * Namespaces holding entries
+   * @returns {Promise<Array<string>>}
+   */
+  async names() {
+    return Array.from(this.namespaces.keys());
+  }
+
+  /**
+   * Delete a namespace and its entries
+   * @param {string} namespace - Namespace (cache name)
+   */
+  async drop(namespace) {
+    this.namespaces.delete(namespace);
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Ghostloader - Stored response helpers
+ * Adapters keep a page's body, status and headers next to its metadata and
+ * hand back real Response objects with the metadata exposed as
+ * x-ghostloader-* headers.
+ */
+
+// Metadata field -> header exposing it on stored responses
+export const META_HEADERS = {
+  timestamp: 'x-ghostloader-timestamp',
+  version: 'x-ghostloader-version',
+  size: 'x-ghostloader-size',
+  ttl: 'x-ghostloader-ttl',
+  redirectedTo: 'x-ghostloader-url',
+  tags: 'x-ghostloader-tags'
+};
+
+const NUMERIC_META = ['timestamp', 'size', 'ttl'];
+
+/**
+ * Metadata as response headers (unset fields are left out)
+ * @param {Object} meta - Entry metadata
+ * @returns {Object}
+ */
+export function metaToHeaders(meta = {}) {
+  const headers = {};
+
+  Object.keys(META_HEADERS).forEach(key => {
+    if (meta[key] !== undefined && meta[key] !== null && meta[key] !== '') {
+      headers[META_HEADERS[key]] = String(meta[key]);
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Read metadata back from response headers
+ * @param {Headers} headers - Stored response headers
+ * @returns {Object}
+ */
+export function metaFromHeaders(headers) {
+  const meta = {};
+
+  Object.keys(META_HEADERS).forEach(key => {
+    const value = headers.get(META_HEADERS[key]);
+    if (value !== null) {
+      meta[key] = NUMERIC_META.includes(key) ? Number(value) : value;
+    }
+  });
+
+  return meta;
+}
+
+/**
+ * Plain, cloneable copy of a response's status and headers, without
+ * Ghostloader's own metadata headers
+ * @param {Response} response - Response to store
+ * @returns {{status: number, statusText: string, headers: Object}}
+ */
+export function serializeHead(response) {
+  const headers = {};
+
+  response.headers.forEach((value, name) => {
+    if (!name.startsWith('x-ghostloader-')) {
+      headers[name] = value;
+    }
+  });
+
+  return { status: response.status, statusText: response.statusText, headers };
+}
+
+/**
+ * Build a Response from a stored record
+ * @param {Object} record - Stored record
+ * @param {ArrayBuffer|string} record.body - Page body
+ * @param {number} record.status - HTTP status
+ * @param {string} record.statusText - HTTP status text
+ * @param {Object} record.headers - Original response headers
+ * @param {Object} record.meta - Entry metadata
+ * @returns {Response}
+ */
+export function buildResponse({ body, status, statusText, headers, meta }) {
+  return new Response(body, {
+    status,
+    statusText,
+    headers: { ...headers, ...metaToHeaders(meta) }
+  });
+}
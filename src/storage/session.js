@@ -0,0 +1,152 @@
+/**
+ * Ghostloader - sessionStorage adapter
+ * Stores pages as JSON in sessionStorage, so they survive reloads within the
+ * tab but never outlive it. Bodies are kept as text, which suits HTML pages.
+ */
+
+import { buildResponse, serializeHead } from './response.js';
+
+const KEY_PREFIX = 'ghostloader:';
+const SEPARATOR = '|';
+
+export default class SessionStorage {
+  constructor() {
+    this.name = 'session';
+    this.persistent = true;
+    this.shared = false; // sessionStorage is per tab
+    this.namespace = null;
+  }
+
+  /**
+   * Check for sessionStorage support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    try {
+      return typeof sessionStorage !== 'undefined' && !!sessionStorage;
+    } catch (error) {
+      // Access throws when storage is disabled
+      return false;
+    }
+  }
+
+  /**
+   * Select the namespace following calls operate on
+   * @param {string} namespace - Namespace (cache name)
+   */
+  async open(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * sessionStorage key of a page
+   * @param {string} url - Page URL
+   * @param {string} namespace - Namespace
+   * @returns {string}
+   */
+  key(url, namespace = this.namespace) {
+    return KEY_PREFIX + namespace + SEPARATOR + url;
+  }
+
+  /**
+   * Every Ghostloader key in sessionStorage
+   * @returns {Array<string>}
+   */
+  allKeys() {
+    const keys = [];
+    for (let i = 0; i < sessionStorage.length; i++) {
+      const key = sessionStorage.key(i);
+      if (key && key.startsWith(KEY_PREFIX)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Read a stored record
+   * @param {string} url - Page URL
+   * @returns {Object|null}
+   */
+  read(url) {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.key(url)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Response|null>}
+   */
+  async get(url) {
+    const record = this.read(url);
+    return record ? buildResponse(record) : null;
+  }
+
+  /**
+   * Store a page. Throws when sessionStorage is full.
+   * @param {string} url - Page URL
+   * @param {Response} response - Unread response
+   * @param {Object} meta - Entry metadata
+   */
+  async put(url, response, meta = {}) {
+    const body = await response.text();
+    sessionStorage.setItem(this.key(url), JSON.stringify({ ...serializeHead(response), body, meta }));
+  }
+
+  /**
+   * Delete a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<boolean>}
+   */
+  async delete(url) {
+    const key = this.key(url);
+    const existed = sessionStorage.getItem(key) !== null;
+    sessionStorage.removeItem(key);
+    return existed;
+  }
+
+  /**
+   * URLs stored in the current namespace
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    const prefix = this.key('');
+    return this.allKeys()
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+  }
+
+  /**
+   * Metadata of a stored page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>}
+   */
+  async meta(url) {
+    const record = this.read(url);
+    return record ? record.meta : null;
+  }
+
+  /**
+   * Namespaces holding entries
+   * @returns {Promise<Array<string>>}
+   */
+  async names() {
+    const names = this.allKeys().map(key => key.slice(KEY_PREFIX.length).split(SEPARATOR)[0]);
+    return Array.from(new Set(names));
+  }
+
+  /**
+   * Delete a namespace and its entries
+   * @param {string} namespace - Namespace (cache name)
+   */
+  async drop(namespace) {
+    const prefix = this.key('', namespace);
+    this.allKeys()
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => sessionStorage.removeItem(key));
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Ghostloader - Fetch strategy
+ * Fetches the page and stores it in Ghostloader's cache so instant
+ * transitions can serve it.
+ */
+
+export default class FetchStrategy {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.name = 'fetch';
+  }
+
+  /**
+   * Always available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof fetch === 'function';
+  }
+
+  /**
+   * Preload a queue item
+   * @param {Object} item - Queue item
+   * @param {Object} context - Preload context ({ signal })
+   * @returns {Promise<{status: string, bytes: number}>}
+   */
+  preload(item, context = {}) {
+    return this.loader.fetchAndCache(item, context);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Ghostloader - Preload strategies
+ * Every strategy implements the same interface:
+ *   static isSupported() -> boolean
+ *   preload(item, { signal }) -> Promise<{ status, bytes }>
+ * where status is 'completed' | 'dispatched' | 'cached' | 'revalidated' | 'skipped' | 'failed'
+ * | 'cancelled'. Strategies stop work and resolve 'cancelled' once the
+ * AbortSignal fires.
+ */
+
+import FetchStrategy from './fetch.js';
+import LinkPrefetchStrategy from './link-prefetch.js';
+import SpeculationRulesStrategy from './speculation-rules.js';
+
+export const STRATEGIES = {
+  fetch: FetchStrategy,
+  'link-prefetch': LinkPrefetchStrategy,
+  'speculation-rules': SpeculationRulesStrategy
+};
+
+// Preference order for the 'auto' strategy
+const AUTO_ORDER = ['speculation-rules', 'link-prefetch', 'fetch'];
+
+/**
+ * Resolve a strategy name to a supported strategy name
+ * @param {string} name - Requested strategy ('auto' picks the best supported one)
+ * @returns {string}
+ */
+export function resolveStrategyName(name) {
+  if (name !== 'auto' && STRATEGIES[name] && STRATEGIES[name].isSupported()) {
+    return name;
+  }
+
+  return AUTO_ORDER.find(candidate => STRATEGIES[candidate].isSupported()) || 'fetch';
+}
@@ -0,0 +1,135 @@
+/**
+ * Ghostloader - Link prefetch strategy
+ * Injects <link rel="prefetch"> so the page lands in the browser's HTTP cache
+ * and benefits regular navigations.
+ */
+
+import { getTransferSize } from '../resource-timing.js';
+import { SUBRESOURCE_SIZE_ESTIMATES } from '../subresources.js';
+
+export default class LinkPrefetchStrategy {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.name = 'link-prefetch';
+    this.links = new Map(); // url -> <link> element
+  }
+
+  /**
+   * Check for <link rel="prefetch"> support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    if (typeof document === 'undefined') {
+      return false;
+    }
+
+    const link = document.createElement('link');
+    return !!(link.relList && link.relList.supports && link.relList.supports('prefetch'));
+  }
+
+  /**
+   * Preload a queue item
+   * @param {Object} item - Queue item
+   * @param {Object} context - Preload context
+   * @param {AbortSignal} context.signal - Removes the link when the preload is cancelled
+   * @returns {Promise<{status: string, bytes: number}>}
+   */
+  preload(item, { signal } = {}) {
+    const { url } = item;
+    const options = item.options || {};
+
+    if (this.links.has(url)) {
+      return Promise.resolve({ status: 'cached', bytes: 0 });
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.resolve({ status: 'cancelled', bytes: 0 });
+    }
+
+    return new Promise(resolve => {
+      const link = document.createElement('link');
+      link.rel = 'prefetch';
+      link.href = url;
+      // Instant transitions keep it while this strategy tracks it
+      link.setAttribute('data-ghostloader-permanent', '');
+
+      // Request destination for warmed subresources
+      if (options.as) {
+        link.as = options.as;
+      }
+
+      // Fonts are always fetched in CORS mode
+      if (options.credentials === 'include') {
+        link.crossOrigin = 'use-credentials';
+      } else if (options.as === 'font' || new URL(url).origin !== window.location.origin) {
+        link.crossOrigin = 'anonymous';
+      }
+
+      let timeoutId = null;
+      const finish = (status) => {
+        clearTimeout(timeoutId);
+        link.onload = null;
+        link.onerror = null;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve({ status, bytes: status === 'completed' ? this.getBytes(url, options) : 0 });
+      };
+
+      // Removing the link stops the browser's request and lets the URL be preloaded again
+      const discard = (status) => {
+        this.links.delete(url);
+        link.remove();
+        finish(status);
+      };
+      const onAbort = () => discard('cancelled');
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      timeoutId = setTimeout(() => discard('failed'), this.loader.config.requestTimeout);
+      link.onload = () => finish('completed');
+      link.onerror = () => discard('failed');
+
+      this.links.set(url, link);
+      document.head.appendChild(link);
+      this.loader.verboseLog('Injected prefetch link:', url);
+    });
+  }
+
+  /**
+   * Remove the prefetch links injected for matching URLs, so they can be
+   * prefetched again
+   * @param {Function} predicate - (url) => boolean
+   * @returns {number} Number of links removed
+   */
+  withdraw(predicate) {
+    let removed = 0;
+
+    this.links.forEach((link, url) => {
+      if (predicate(url)) {
+        link.remove();
+        this.links.delete(url);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Bytes a finished prefetch used. Subresources whose size Resource Timing
+   * hides are charged an estimate for their type, so they still count
+   * against the budgets and dataLimit.
+   * @param {string} url - Prefetched URL
+   * @param {Object} options - Item options
+   * @returns {number}
+   */
+  getBytes(url, options) {
+    return getTransferSize(url) || SUBRESOURCE_SIZE_ESTIMATES[options.subresourceType] || 0;
+  }
+}
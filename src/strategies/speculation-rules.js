@@ -0,0 +1,144 @@
+/**
+ * Ghostloader - Speculation Rules strategy
+ * Injects <script type="speculationrules"> so the browser prefetches or
+ * prerenders the page for regular navigations.
+ */
+
+// Bytes charged for a speculation whose load Resource Timing never reports
+const SPECULATION_SIZE_ESTIMATE = 100 * 1024;
+
+export default class SpeculationRulesStrategy {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.name = 'speculation-rules';
+    this.scripts = new Map(); // url -> <script> element
+    this.pending = new Map(); // url -> timeoutId, speculations whose bytes are not yet known
+    this.observer = null;
+  }
+
+  /**
+   * Check for Speculation Rules support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof HTMLScriptElement !== 'undefined' &&
+      typeof HTMLScriptElement.supports === 'function' &&
+      HTMLScriptElement.supports('speculationrules');
+  }
+
+  /**
+   * Preload a queue item. The browser gives no completion signal for
+   * speculations, so the result is reported as dispatched and the bytes
+   * are recorded once the load shows up in Resource Timing.
+   * @param {Object} item - Queue item
+   * @param {Object} context - Preload context ({ signal })
+   * @returns {Promise<{status: string, bytes: number}>}
+   */
+  async preload(item, { signal } = {}) {
+    const { url } = item;
+    const { config } = this.loader;
+
+    if (this.scripts.has(url)) {
+      return { status: 'cached', bytes: 0 };
+    }
+
+    if (signal && signal.aborted) {
+      return { status: 'cancelled', bytes: 0 };
+    }
+
+    const action = config.speculationAction === 'prerender' ? 'prerender' : 'prefetch';
+    const script = document.createElement('script');
+    script.type = 'speculationrules';
+    // Instant transitions keep it while this strategy tracks it
+    script.setAttribute('data-ghostloader-permanent', '');
+    script.textContent = JSON.stringify({
+      [action]: [{
+        source: 'list',
+        urls: [url],
+        eagerness: config.speculationEagerness
+      }]
+    });
+
+    this.scripts.set(url, script);
+    document.head.appendChild(script);
+    this.measure(url);
+    this.loader.verboseLog('Injected speculation rule:', action, url);
+
+    return { status: 'dispatched', bytes: 0 };
+  }
+
+  /**
+   * Record a speculation's bytes when its load appears in Resource Timing.
+   * Browsers may keep speculative loads out of Resource Timing; those are
+   * charged an estimate after requestTimeout.
+   * @param {string} url - Speculated URL
+   */
+  measure(url) {
+    if (!this.observer && typeof PerformanceObserver !== 'undefined') {
+      try {
+        this.observer = new PerformanceObserver(list => {
+          list.getEntries().forEach(entry => {
+            const bytes = entry.transferSize || entry.encodedBodySize;
+            if (bytes && this.pending.has(entry.name)) {
+              this.settle(entry.name, bytes);
+            }
+          });
+        });
+        this.observer.observe({ type: 'resource', buffered: false });
+      } catch (error) {
+        this.loader.debugLog('Speculation size observer failed:', error);
+      }
+    }
+
+    const timeoutId = setTimeout(() => this.settle(url, SPECULATION_SIZE_ESTIMATE), this.loader.config.requestTimeout);
+    this.pending.set(url, timeoutId);
+  }
+
+  /**
+   * Charge a speculation's bytes and stop waiting for it
+   * @param {string} url - Speculated URL
+   * @param {number} bytes - Bytes used
+   */
+  settle(url, bytes) {
+    clearTimeout(this.pending.get(url));
+    this.pending.delete(url);
+    this.loader.recordBytes(this.name, url, bytes);
+    this.disconnectIfIdle();
+  }
+
+  /**
+   * Remove the rules injected for matching URLs, so the browser drops the
+   * speculation and the URL can be speculated again
+   * @param {Function} predicate - (url) => boolean
+   * @returns {number} Number of rules removed
+   */
+  withdraw(predicate) {
+    let removed = 0;
+
+    this.scripts.forEach((script, url) => {
+      if (predicate(url)) {
+        script.remove();
+        this.scripts.delete(url);
+        clearTimeout(this.pending.get(url));
+        this.pending.delete(url);
+        removed++;
+      }
+    });
+
+    this.disconnectIfIdle();
+    return removed;
+  }
+
+  /**
+   * Stop observing Resource Timing once no speculation awaits its size
+   */
+  disconnectIfIdle() {
+    if (this.observer && this.pending.size === 0) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Ghostloader - Subresource extraction
+ * Finds the stylesheets, scripts, module preloads, font preloads and likely
+ * LCP images a preloaded page will need, so they can be warmed before the
+ * user navigates.
+ */
+
+export const DEFAULT_SUBRESOURCE_TYPES = {
+  stylesheets: true,
+  scripts: true,
+  modulePreloads: true,
+  fonts: true,
+  images: true
+};
+
+// Bytes each type may use per session
+export const DEFAULT_SUBRESOURCE_BUDGETS = {
+  stylesheets: 512 * 1024,
+  scripts: 1024 * 1024,
+  modulePreloads: 1024 * 1024,
+  fonts: 512 * 1024,
+  images: 2 * 1024 * 1024
+};
+
+// Bytes charged for a subresource whose size Resource Timing hides
+// (cross-origin responses without Timing-Allow-Origin report 0)
+export const SUBRESOURCE_SIZE_ESTIMATES = {
+  stylesheets: 50 * 1024,
+  scripts: 100 * 1024,
+  modulePreloads: 50 * 1024,
+  fonts: 50 * 1024,
+  images: 150 * 1024
+};
+
+// Subresource type -> selector and request destination
+const EXTRACTORS = {
+  stylesheets: { selector: 'link[rel~="stylesheet"][href]', attribute: 'href', as: 'style' },
+  scripts: { selector: 'script[src]', attribute: 'src', as: 'script' },
+  modulePreloads: { selector: 'link[rel~="modulepreload"][href]', attribute: 'href', as: 'script' },
+  fonts: { selector: 'link[rel~="preload"][as="font"][href]', attribute: 'href', as: 'font' },
+  images: {
+    // Explicit image preloads and high-priority images are the likely LCP candidates
+    selector: 'link[rel~="preload"][as="image"][href], img[fetchpriority="high"][src]',
+    attribute: null,
+    as: 'image'
+  }
+};
+
+/**
+ * URLs the current document already loaded or references
+ * @returns {Set<string>}
+ */
+export function getKnownResources() {
+  const known = new Set();
+
+  document.querySelectorAll('link[href], script[src], img[src]').forEach(element => {
+    known.add(element.href || element.src);
+  });
+
+  if (typeof performance !== 'undefined' && performance.getEntriesByType) {
+    performance.getEntriesByType('resource').forEach(entry => known.add(entry.name));
+  }
+
+  return known;
+}
+
+/**
+ * Fallback LCP candidate: the first eagerly loaded image in the page body
+ * @param {Document} doc - Parsed document
+ * @returns {HTMLImageElement|null}
+ */
+function findFirstEagerImage(doc) {
+  return Array.from(doc.querySelectorAll('body img[src]'))
+    .find(img => img.getAttribute('loading') !== 'lazy') || null;
+}
+
+/**
+ * Extract subresource URLs from a page's HTML
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the HTML was fetched from
+ * @param {Object} types - Per-type toggles ({ stylesheets, scripts, modulePreloads, fonts, images })
+ * @returns {Array<{url: string, type: string, as: string}>}
+ */
+export function extractSubresources(html, pageUrl, types = {}) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const base = doc.querySelector('base[href]');
+  const baseUrl = base ? new URL(base.getAttribute('href'), pageUrl).href : pageUrl;
+  const found = new Map();
+
+  const add = (value, type, as) => {
+    try {
+      const url = new URL(value, baseUrl);
+      if ((url.protocol === 'http:' || url.protocol === 'https:') && !found.has(url.href)) {
+        found.set(url.href, { url: url.href, type, as });
+      }
+    } catch (error) {
+      // Ignore invalid URLs
+    }
+  };
+
+  Object.keys(EXTRACTORS).forEach(type => {
+    if (!types[type]) {
+      return;
+    }
+
+    const { selector, attribute, as } = EXTRACTORS[type];
+    const elements = Array.from(doc.querySelectorAll(selector));
+
+    if (type === 'images' && elements.length === 0) {
+      const image = findFirstEagerImage(doc);
+      if (image) {
+        elements.push(image);
+      }
+    }
+
+    elements.forEach(element => {
+      const value = attribute
+        ? element.getAttribute(attribute)
+        : element.getAttribute('href') || element.getAttribute('src');
+
+      if (value) {
+        add(value, type, as);
+      }
+    });
+  });
+
+  return Array.from(found.values());
+}
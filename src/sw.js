@@ -0,0 +1,150 @@
+/**
+ * Ghostloader - Service worker
+ * Built to dist/ghostloader-sw.js. Answers navigation requests from the
+ * Ghostloader cache while the stored page is fresh and falls back to the
+ * network otherwise, so typed URLs, new tabs, form GETs and back/forward
+ * benefit from preloading too. The page sends the cache name, version and
+ * expiration; the worker keeps them in its own cache so they survive restarts.
+ * Partitioned caches are never served: after a logout the worker would still
+ * hold the previous user's partition until a page told it otherwise.
+ */
+
+import { META_HEADERS } from './storage/response.js';
+import { SW_CONFIG_MESSAGE, SW_HIT_TIMING } from './service-worker.js';
+
+const CONFIG_CACHE = 'ghostloader-sw-config';
+const CONFIG_KEY = '/ghostloader-sw-config';
+
+let config = null;
+
+/**
+ * Current settings, read back from the config cache after a restart
+ * @returns {Promise<Object|null>}
+ */
+async function getConfig() {
+  if (!config) {
+    try {
+      const cache = await caches.open(CONFIG_CACHE);
+      const stored = await cache.match(CONFIG_KEY);
+      config = stored ? await stored.json() : null;
+    } catch (error) {
+      config = null;
+    }
+  }
+  return config;
+}
+
+/**
+ * Store the settings sent by the page
+ * @param {Object} settings - { cacheName, version, cacheExpiration, partitioned }
+ */
+async function saveConfig({ cacheName, version, cacheExpiration, partitioned }) {
+  config = { cacheName, version, cacheExpiration, partitioned: !!partitioned };
+
+  const cache = await caches.open(CONFIG_CACHE);
+  await cache.put(CONFIG_KEY, new Response(JSON.stringify(config), {
+    headers: { 'content-type': 'application/json' }
+  }));
+}
+
+/**
+ * Check if a stored page may be served
+ * @param {Response} response - Stored response
+ * @param {Object} settings - Current settings
+ * @param {string} url - Requested URL
+ * @returns {boolean}
+ */
+function isFresh(response, settings, url) {
+  const { headers } = response;
+  const timestamp = Number(headers.get(META_HEADERS.timestamp));
+  const storedTtl = parseInt(headers.get(META_HEADERS.ttl), 10);
+  const ttl = isNaN(storedTtl) ? settings.cacheExpiration : storedTtl;
+
+  if (headers.get(META_HEADERS.version) !== settings.version) {
+    return false;
+  }
+
+  // Serving a redirected page under its original URL would break relative links
+  const redirectedTo = headers.get(META_HEADERS.redirectedTo);
+  if (redirectedTo && redirectedTo !== url) {
+    return false;
+  }
+
+  return timestamp > 0 && Date.now() - timestamp < ttl;
+}
+
+/**
+ * Stored page without Ghostloader's metadata headers, marked as a hit
+ * @param {Response} response - Stored response
+ * @returns {Response}
+ */
+function toNavigationResponse(response) {
+  const headers = new Headers();
+
+  response.headers.forEach((value, name) => {
+    if (!name.startsWith('x-ghostloader-')) {
+      headers.set(name, value);
+    }
+  });
+  headers.append('server-timing', SW_HIT_TIMING);
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Answer a navigation from the cache, or from the network when the page
+ * is missing, no longer fresh, or belongs to a per-user partition
+ * @param {FetchEvent} event - Navigation fetch event
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(event) {
+  try {
+    const settings = await getConfig();
+
+    if (settings && settings.cacheName && !settings.partitioned) {
+      const cache = await caches.open(settings.cacheName);
+      const url = new URL(event.request.url);
+      url.hash = '';
+      const cached = await cache.match(url.href);
+
+      if (cached && isFresh(cached, settings, url.href)) {
+        return toNavigationResponse(cached);
+      }
+    }
+  } catch (error) {
+    // Fall through to the network
+  }
+
+  return fetch(event.request);
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === SW_CONFIG_MESSAGE) {
+    event.waitUntil(saveConfig(event.data));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Only plain navigations; reloads and hard reloads skip the cache
+  if (request.mode !== 'navigate' || request.method !== 'GET' ||
+      ['reload', 'no-cache', 'no-store'].includes(request.cache) ||
+      new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(handleNavigation(event));
+});
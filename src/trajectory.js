@@ -0,0 +1,160 @@
+/**
+ * Ghostloader - Cursor trajectory prediction
+ * Samples pointer movement, projects the cursor's heading and boosts the link
+ * it is most likely travelling toward before the pointer reaches it.
+ */
+
+const MAX_SAMPLES = 5;
+const SAMPLE_WINDOW = 250; // only samples from the last 250ms describe the current motion
+const MIN_SPEED = 0.2; // px/ms, slower movement is left to hover detection
+const MAX_DISTANCE = 600; // px, ignore links further away than this
+
+export default class TrajectoryPredictor {
+  /**
+   * @param {Ghostloader} loader - Owning Ghostloader instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.samples = [];
+    this.lastSampleTime = 0;
+    this.predictedUrl = null;
+    this.predictions = 0;
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+  }
+
+  /**
+   * Start sampling pointer movement
+   */
+  start() {
+    document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+    this.loader.debugLog('Trajectory prediction enabled with threshold', this.loader.config.trajectoryThreshold);
+  }
+
+  /**
+   * Throttled pointer sampler
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    if (event.pointerType && event.pointerType !== 'mouse') {
+      return;
+    }
+
+    const now = event.timeStamp || performance.now();
+    if (now - this.lastSampleTime < this.loader.config.trajectorySampleInterval) {
+      return;
+    }
+    this.lastSampleTime = now;
+
+    this.samples.push({ x: event.clientX, y: event.clientY, t: now });
+    this.samples = this.samples.filter(sample => now - sample.t <= SAMPLE_WINDOW).slice(-MAX_SAMPLES);
+
+    if (this.samples.length >= 2) {
+      this.predict();
+    }
+  }
+
+  /**
+   * Project the current heading onto candidate links and boost the best match
+   */
+  predict() {
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const elapsed = last.t - first.t;
+
+    if (elapsed <= 0) {
+      return;
+    }
+
+    const vx = (last.x - first.x) / elapsed;
+    const vy = (last.y - first.y) / elapsed;
+    const speed = Math.hypot(vx, vy);
+
+    if (speed < MIN_SPEED) {
+      return;
+    }
+
+    let best = null;
+
+    this.getCandidates().forEach(link => {
+      const confidence = this.getConfidence(link, last, vx, vy, speed);
+      if (!best || confidence > best.confidence) {
+        best = { link, confidence };
+      }
+    });
+
+    if (!best || best.confidence < this.loader.config.trajectoryThreshold) {
+      return;
+    }
+
+    const href = this.loader.getLinkUrl(best.link);
+    if (!href || href === this.predictedUrl ||
+      !this.loader.shouldPreload(href) || this.loader.shouldExclude(best.link, href)) {
+      return;
+    }
+
+    // Only the current target keeps its trajectory boost
+    if (this.predictedUrl) {
+      this.loader.queue.setSignal(this.predictedUrl, 'trajectory', 0);
+    }
+
+    this.predictedUrl = href;
+    this.predictions++;
+    this.loader.verboseLog('Predicted pointer target:', href, 'confidence:', best.confidence.toFixed(2));
+    this.loader.boostPriority(href, 'trajectory', best.link, best.confidence);
+  }
+
+  /**
+   * Links the pointer could be heading toward
+   * @returns {Iterable<HTMLElement>}
+   */
+  getCandidates() {
+    if (this.loader.discovery) {
+      return this.loader.discovery.visibleLinks;
+    }
+    return document.querySelectorAll(this.loader.config.selector);
+  }
+
+  /**
+   * Confidence that the pointer is heading toward a link
+   * @param {HTMLElement} link - Candidate link
+   * @param {Object} position - Latest pointer sample
+   * @param {number} vx - Horizontal velocity (px/ms)
+   * @param {number} vy - Vertical velocity (px/ms)
+   * @param {number} speed - Pointer speed (px/ms)
+   * @returns {number} 0..1
+   */
+  getConfidence(link, position, vx, vy, speed) {
+    const rect = link.getBoundingClientRect();
+    if (!rect.width || !rect.height) {
+      return 0;
+    }
+
+    const dx = rect.left + rect.width / 2 - position.x;
+    const dy = rect.top + rect.height / 2 - position.y;
+    const distance = Math.hypot(dx, dy);
+
+    // Already on top of the link (hover handles it) or too far away
+    if (distance < 1 || distance > MAX_DISTANCE) {
+      return 0;
+    }
+
+    // Angle between the heading and the direction of the link, with a
+    // tolerance that grows with the link's apparent size
+    const cos = (vx * dx + vy * dy) / (speed * distance);
+    const angle = Math.acos(Math.min(1, Math.max(-1, cos)));
+    const tolerance = Math.atan2(Math.min(rect.width, rect.height) / 2, distance);
+    const aim = angle <= tolerance ? 1 : Math.max(0, 1 - (angle - tolerance) / (Math.PI / 4));
+
+    // Nearer targets are more certain
+    return aim * (0.5 + 0.5 * (1 - distance / MAX_DISTANCE));
+  }
+
+  /**
+   * Stop sampling pointer movement
+   */
+  stop() {
+    document.removeEventListener('pointermove', this.handlePointerMove);
+    this.samples = [];
+    this.predictedUrl = null;
+  }
+}
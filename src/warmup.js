@@ -0,0 +1,133 @@
+/**
+ * Ghostloader - Warmup sources
+ * Reads page lists from a sitemap.xml (or sitemap index), an RSS/Atom feed or
+ * a JSON manifest, and ranks them so the most important pages warm first.
+ */
+
+// changefreq -> weight used to break priority ties
+const CHANGEFREQ_WEIGHTS = {
+  always: 1,
+  hourly: 0.9,
+  daily: 0.8,
+  weekly: 0.6,
+  monthly: 0.4,
+  yearly: 0.2,
+  never: 0.1
+};
+
+// Sitemap protocol default priority
+const DEFAULT_PRIORITY = 0.5;
+
+/**
+ * Build a warmup entry, clamping the priority to 0-1
+ * @param {string} url - Page URL
+ * @param {Object} fields - Optional fields
+ * @returns {{url: string, priority: number, changefreq: string|null, lastmod: number}}
+ */
+function toEntry(url, { priority, changefreq, lastmod } = {}) {
+  const value = parseFloat(priority);
+
+  return {
+    url: url.trim(),
+    priority: isNaN(value) ? DEFAULT_PRIORITY : Math.min(1, Math.max(0, value)),
+    changefreq: changefreq ? String(changefreq).trim().toLowerCase() : null,
+    lastmod: Date.parse(lastmod) || 0
+  };
+}
+
+/**
+ * Text of a child element, matched by local name so namespaced feeds work
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local element name
+ * @returns {string|null}
+ */
+function childText(parent, name) {
+  const child = Array.from(parent.children).find(element => element.localName === name);
+  return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Parse a sitemap, sitemap index or RSS/Atom feed
+ * @param {string} text - XML source
+ * @returns {{entries: Array<Object>, sitemaps: Array<string>}} Pages, and child sitemaps of an index
+ */
+export function parseXmlSource(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+
+  if (!root || root.localName === 'parsererror' || doc.getElementsByTagName('parsererror').length) {
+    return { entries: [], sitemaps: [] };
+  }
+
+  const elements = name => Array.from(root.getElementsByTagNameNS('*', name));
+
+  if (root.localName === 'sitemapindex') {
+    return {
+      entries: [],
+      sitemaps: elements('sitemap').map(sitemap => childText(sitemap, 'loc')).filter(Boolean)
+    };
+  }
+
+  if (root.localName === 'urlset') {
+    const entries = elements('url')
+      .filter(url => childText(url, 'loc'))
+      .map(url => toEntry(childText(url, 'loc'), {
+        priority: childText(url, 'priority'),
+        changefreq: childText(url, 'changefreq'),
+        lastmod: childText(url, 'lastmod')
+      }));
+    return { entries, sitemaps: [] };
+  }
+
+  // RSS items or Atom entries, newest first: earlier items rank higher
+  const items = root.localName === 'feed' ? elements('entry') : elements('item');
+  const entries = items
+    .map(item => {
+      const link = Array.from(item.children).find(element => element.localName === 'link');
+      const url = link && (link.getAttribute('href') || link.textContent);
+      return url ? { url, lastmod: childText(item, 'updated') || childText(item, 'pubDate') } : null;
+    })
+    .filter(Boolean)
+    .map(({ url, lastmod }, index, all) => toEntry(url, {
+      priority: 1 - (index / all.length) * 0.5,
+      lastmod
+    }));
+
+  return { entries, sitemaps: [] };
+}
+
+/**
+ * Parse a JSON manifest: an array of URLs or { url, priority, changefreq,
+ * lastmod } objects, optionally wrapped in { pages | urls | entries: [...] }
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} Entries
+ */
+export function parseJsonManifest(data) {
+  const list = Array.isArray(data)
+    ? data
+    : (data && (data.pages || data.urls || data.entries)) || [];
+
+  return list
+    .map(item => {
+      if (typeof item === 'string') {
+        return toEntry(item);
+      }
+      return item && typeof item.url === 'string' ? toEntry(item.url, item) : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Order entries by priority, then changefreq, then most recently modified
+ * @param {Array<Object>} entries - Warmup entries
+ * @returns {Array<Object>} New, sorted array
+ */
+export function rankWarmupEntries(entries) {
+  const frequency = entry => CHANGEFREQ_WEIGHTS[entry.changefreq] || 0;
+
+  return entries.slice().sort((a, b) =>
+    (b.priority - a.priority) ||
+    (frequency(b) - frequency(a)) ||
+    (b.lastmod - a.lastmod)
+  );
+}